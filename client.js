@@ -3,30 +3,49 @@
  * Universal MCP Skill Client
  * 
  * A daemon-based client that maintains MCP session for any MCP server.
- * Supports both stdio and HTTP transports.
+ * Supports stdio, streamable HTTP and SSE transports, and several servers
+ * behind one daemon.
+ * 
+ * This file is the command line interface; the session API it uses is
+ * exported from index.js.
  * 
  * Usage:
  *   mcp-skill-client --config config.json --session mysession start
  *   mcp-skill-client --config config.json --session mysession call <tool> [args...]
  *   mcp-skill-client --config config.json --session mysession stop
  *   mcp-skill-client --config config.json --session mysession status
- *   mcp-skill-client --config config.json --session mysession tools
+ *   mcp-skill-client --config config.json --session mysession tools [--snapshot|--diff <snapshot.json>]
+ *   mcp-skill-client --config config.json --session mysession resources
+ *   mcp-skill-client --config config.json --session mysession read <uri> [key=value...]
+ *   mcp-skill-client --config config.json --session mysession run <script.jsonl|script.yaml>
+ *   mcp-skill-client --config config.json --session mysession shell
+ *   mcp-skill-client --config config.json --session mysession generate-skill [--check]
+ *   mcp-skill-client --config config.json config check
+ *   mcp-skill-client --config config.json auth login
  */
 
-import http from 'node:http';
-import net from 'node:net';
+import readline from 'node:readline';
 import fs from 'node:fs';
 import path from 'node:path';
-import { spawn } from 'node:child_process';
 import { fileURLToPath } from 'node:url';
 
-import { Client } from '@modelcontextprotocol/sdk/client/index.js';
-import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
-import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { AjvJsonSchemaValidator } from '@modelcontextprotocol/sdk/validation/ajv';
+import YAML from 'yaml';
+
+import { CallCancelledError, CallTimeoutError, DaemonStartError, diffToolSnapshots, SessionNotRunningError, SkillClient, validateToolOutput } from './index.js';
+import { getServerConfigs, loadConfig as loadConfigFile, readConfig } from './lib/config.js';
+import { runDaemon, HISTORY_SUMMARY_LENGTH } from './lib/daemon.js';
+import { getOAuthFile, loadOAuthState, oauthLogin, saveOAuthState } from './lib/oauth.js';
+import { getOutputDir, getSession, getShellHistoryFile, loadSessions } from './lib/session.js';
+import { formatDuration, parseDuration, tryParseJson } from './lib/util.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Exit codes for calls that did not complete (same as timeout(1) and SIGINT)
+const EXIT_TIMEOUT = 124;
+const EXIT_CANCELLED = 130;
+
 // Parse command line
 const args = process.argv.slice(2);
 
@@ -38,8 +57,35 @@ function parseArgs(args) {
     toolArgs: [],
     format: 'auto',
     outputDir: null,
+    select: null,
+    output: null,
+    skillDir: null,
+    check: false,
+    validate: true,
+    idleTimeout: null,
+    maxLifetime: null,
+    wait: null,
+    quiet: false,
+    logLevel: null,
+    timeout: null,
+    keepGoing: false,
+    yes: false,
+    tcp: false,
+    all: false,
+    record: null,
+    // tools --snapshot / --diff <file>
+    snapshot: false,
+    diff: null,
+    // history / replay filters
+    from: null,
+    tool: null,
+    status: null,
+    since: null,
+    until: null,
+    limit: null,
     // Internal use
-    _daemonPort: null
+    _daemonPort: null,
+    _daemonSocket: null
   };
   
   for (let i = 0; i < args.length; i++) {
@@ -56,7 +102,24 @@ function parseArgs(args) {
         case 'session': result.session = value; break;
         case 'format': result.format = value; break;
         case 'output-dir': result.outputDir = value; break;
+        case 'select': result.select = value; break;
+        case 'output': result.output = value; break;
+        case 'skill-dir': result.skillDir = value; break;
+        case 'idle-timeout': result.idleTimeout = value; break;
+        case 'max-lifetime': result.maxLifetime = value; break;
+        case 'wait': result.wait = value; break;
+        case 'log-level': result.logLevel = value; break;
+        case 'timeout': result.timeout = value; break;
+        case 'record': result.record = value; break;
+        case 'diff': result.diff = value; break;
+        case 'from': result.from = value; break;
+        case 'tool': result.tool = value; break;
+        case 'status': result.status = value; break;
+        case 'since': result.since = value; break;
+        case 'until': result.until = value; break;
+        case 'limit': result.limit = value; break;
         case '_port': result._daemonPort = parseInt(value, 10); break;
+        case '_socket': result._daemonSocket = value; break;
         default: result.toolArgs.push(arg);
       }
     } else if (arg === '--config' && args[i + 1]) {
@@ -71,9 +134,76 @@ function parseArgs(args) {
     } else if (arg === '--output-dir' && args[i + 1]) {
       result.outputDir = args[i + 1];
       i++;
+    } else if (arg === '--select' && args[i + 1]) {
+      result.select = args[i + 1];
+      i++;
+    } else if (arg === '--output' && args[i + 1]) {
+      result.output = args[i + 1];
+      i++;
+    } else if (arg === '--skill-dir' && args[i + 1]) {
+      result.skillDir = args[i + 1];
+      i++;
+    } else if (arg === '--idle-timeout' && args[i + 1]) {
+      result.idleTimeout = args[i + 1];
+      i++;
+    } else if (arg === '--max-lifetime' && args[i + 1]) {
+      result.maxLifetime = args[i + 1];
+      i++;
+    } else if (arg === '--wait' && args[i + 1]) {
+      result.wait = args[i + 1];
+      i++;
+    } else if (arg === '--log-level' && args[i + 1]) {
+      result.logLevel = args[i + 1];
+      i++;
+    } else if (arg === '--timeout' && args[i + 1]) {
+      result.timeout = args[i + 1];
+      i++;
+    } else if (arg === '--record' && args[i + 1]) {
+      result.record = args[i + 1];
+      i++;
+    } else if (arg === '--diff' && args[i + 1]) {
+      result.diff = args[i + 1];
+      i++;
+    } else if (arg === '--from' && args[i + 1]) {
+      result.from = args[i + 1];
+      i++;
+    } else if (arg === '--tool' && args[i + 1]) {
+      result.tool = args[i + 1];
+      i++;
+    } else if (arg === '--status' && args[i + 1]) {
+      result.status = args[i + 1];
+      i++;
+    } else if (arg === '--since' && args[i + 1]) {
+      result.since = args[i + 1];
+      i++;
+    } else if (arg === '--until' && args[i + 1]) {
+      result.until = args[i + 1];
+      i++;
+    } else if (arg === '--limit' && args[i + 1]) {
+      result.limit = args[i + 1];
+      i++;
+    } else if (arg === '--keep-going') {
+      result.keepGoing = true;
+    } else if (arg === '--quiet' || arg === '-q') {
+      result.quiet = true;
+    } else if (arg === '--yes' || arg === '-y') {
+      result.yes = true;
+    } else if (arg === '--check') {
+      result.check = true;
+    } else if (arg === '--snapshot') {
+      result.snapshot = true;
+    } else if (arg === '--no-validate') {
+      result.validate = false;
+    } else if (arg === '--tcp') {
+      result.tcp = true;
+    } else if (arg === '--all') {
+      result.all = true;
     } else if (arg === '--_port' && args[i + 1]) {
       result._daemonPort = parseInt(args[i + 1], 10);
       i++;
+    } else if (arg === '--_socket' && args[i + 1]) {
+      result._daemonSocket = args[i + 1];
+      i++;
     } else if (!result.command) {
       result.command = arg;
     } else {
@@ -84,122 +214,167 @@ function parseArgs(args) {
   return result;
 }
 
-function loadConfig(configPath) {
+function applyLifetimeOverrides(config, idleTimeout, maxLifetime) {
+  // Command line flags win over config.json
+  if (idleTimeout !== null) {
+    config.idleTimeout = idleTimeout;
+  }
+  if (maxLifetime !== null) {
+    config.maxLifetime = maxLifetime;
+  }
+  return config;
+}
+
+function loadConfig(configPath, options) {
   if (!configPath) {
     console.error('Error: --config is required');
     process.exit(1);
   }
   
-  const absPath = path.resolve(configPath);
-  if (!fs.existsSync(absPath)) {
-    console.error(`Error: Config file not found: ${absPath}`);
+  try {
+    return loadConfigFile(configPath, options);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
     process.exit(1);
   }
-  
-  const config = JSON.parse(fs.readFileSync(absPath, 'utf8'));
-  config._configPath = absPath;
-  config._configDir = path.dirname(absPath);
-  
-  return config;
 }
 
-// ============ Session Management ============
+// ============ OAuth ============
 
-function getSessionDir(config) {
-  // State dir is ./<skill-name>/ in current working directory
-  const stateDir = path.join(process.cwd(), `.${config.name}`);
-  if (!fs.existsSync(stateDir)) {
-    fs.mkdirSync(stateDir, { recursive: true });
+async function authCommand(rootConfig, action, serverId, format) {
+  if (!['login', 'logout', 'status'].includes(action)) {
+    console.error('Usage: mcp-skill-client --config <config.json> auth login|logout|status [server]');
+    process.exit(1);
   }
-  return stateDir;
-}
-
-function getSessionsFile(config) {
-  return path.join(getSessionDir(config), 'sessions.json');
-}
-
-function loadSessions(config) {
-  const sessionsFile = getSessionsFile(config);
-  if (fs.existsSync(sessionsFile)) {
+  
+  // Multi-server configs keep one token store per server
+  const candidates = getServerConfigs(rootConfig).filter(entry => entry.config.auth?.type === 'oauth');
+  const entry = serverId
+    ? candidates.find(candidate => candidate.id === serverId)
+    : candidates.length === 1 ? candidates[0] : null;
+  if (!entry) {
+    if (serverId) {
+      console.error(`Error: server '${serverId}' does not use "auth": { "type": "oauth" }`);
+    } else if (candidates.length > 1) {
+      console.error(`Error: several servers use OAuth; name one: auth ${action} <${candidates.map(c => c.id).join('|')}>`);
+    } else {
+      console.error(`Error: auth ${action} needs "auth": { "type": "oauth" } in config`);
+    }
+    process.exit(1);
+  }
+  const config = entry.config;
+  
+  const oauthFile = path.relative(process.cwd(), getOAuthFile(config));
+  
+  if (action === 'login') {
     try {
-      return JSON.parse(fs.readFileSync(sessionsFile, 'utf8'));
+      await oauthLogin(config, {
+        onRedirect: (url) => {
+          console.log('Open this URL in a browser to authorize:');
+          console.log(`  ${url.href}`);
+        }
+      });
     } catch (e) {
-      return {};
+      console.error('Error:', e.message);
+      process.exit(1);
     }
+    console.log(`Logged in; tokens saved to ${oauthFile}`);
+    return;
+  }
+  
+  if (action === 'logout') {
+    const { client } = loadOAuthState(config);
+    // Keep a dynamically registered client so the next login reuses it
+    saveOAuthState(config, client ? { client } : {});
+    console.log('Logged out');
+    return;
+  }
+  
+  const { tokens, savedAt } = loadOAuthState(config);
+  const expiresAt = tokens?.expires_in && savedAt ? savedAt + tokens.expires_in * 1000 : null;
+  if (format === 'json') {
+    console.log(JSON.stringify({ loggedIn: !!tokens, expiresAt, refreshable: !!tokens?.refresh_token }, null, 2));
+  } else if (!tokens) {
+    console.log(`Not logged in (run 'auth login${config._serverId ? ` ${config._serverId}` : ''}')`);
+  } else {
+    const expiry = expiresAt === null ? 'no expiry' :
+      expiresAt > Date.now() ? `expires in ${formatDuration(expiresAt - Date.now())}` : 'expired';
+    console.log(`Logged in (${expiry}${tokens.refresh_token ? ', refreshable' : ''}; ${oauthFile})`);
   }
-  return {};
-}
-
-function saveSessions(config, sessions) {
-  const sessionsFile = getSessionsFile(config);
-  fs.writeFileSync(sessionsFile, JSON.stringify(sessions, null, 2));
-}
-
-function getSession(config, sessionName) {
-  const sessions = loadSessions(config);
-  return sessions[sessionName] || null;
-}
-
-function setSession(config, sessionName, data) {
-  const sessions = loadSessions(config);
-  sessions[sessionName] = data;
-  saveSessions(config, sessions);
 }
 
-function deleteSession(config, sessionName) {
-  const sessions = loadSessions(config);
-  delete sessions[sessionName];
-  saveSessions(config, sessions);
-}
+// ============ Config Validation ============
 
-function getOutputDir(config, sessionName, outputDir) {
-  if (outputDir) {
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
+function printServerSummary(server, indent) {
+  console.log(`${indent}transport: ${server.transport}`);
+  if (server.transport === 'stdio') {
+    console.log(`${indent}command: ${[server.command, ...(server.args || [])].join(' ')}`);
+  } else if (server.transport === 'replay') {
+    console.log(`${indent}fixture: ${server.fixture} (match: ${server.match || 'arguments'})`);
+  } else {
+    console.log(`${indent}url: ${server.url}`);
+  }
+  // Values may hold secrets; show only which variables are set
+  for (const key of ['env', 'headers']) {
+    if (server[key] && Object.keys(server[key]).length > 0) {
+      console.log(`${indent}${key}: ${Object.keys(server[key]).join(', ')}`);
     }
-    return outputDir;
   }
-  const dir = path.join(getSessionDir(config), sessionName, 'output');
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+  if (server.auth) {
+    console.log(`${indent}auth: ${server.auth.type}`);
   }
-  return dir;
-}
-
-function getLogFile(config, sessionName) {
-  const dir = path.join(getSessionDir(config), sessionName);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+  if (server.elicitation) {
+    console.log(`${indent}elicitation: ${server.elicitation.action || 'ask'}`);
+  }
+  if (server.sampling) {
+    const action = server.sampling.action || 'ask';
+    console.log(`${indent}sampling: ${action}${action === 'command' ? ` (${server.sampling.command})` : ''}`);
   }
-  return path.join(dir, 'daemon.log');
-}
-
-// ============ Port Management ============
-
-async function isPortAvailable(port) {
-  return new Promise((resolve) => {
-    const server = net.createServer();
-    server.once('error', () => resolve(false));
-    server.once('listening', () => {
-      server.close();
-      resolve(true);
-    });
-    server.listen(port, 'localhost');
-  });
 }
 
-async function findAvailablePort(config, startPort = 8940) {
-  const sessions = loadSessions(config);
-  const usedPorts = new Set(Object.values(sessions).map(s => s.port));
+async function checkConfig(configPath, format) {
+  if (!configPath) {
+    console.error('Error: --config is required');
+    process.exit(1);
+  }
+  
+  const { config, errors } = readConfig(configPath);
+  const absPath = path.resolve(configPath);
   
-  let port = startPort;
-  while (port < startPort + 1000) {
-    if (!usedPorts.has(port) && await isPortAvailable(port)) {
-      return port;
+  if (format === 'json') {
+    console.log(JSON.stringify({ valid: errors.length === 0, errors }, null, 2));
+  } else if (errors.length > 0) {
+    console.error(`${absPath}: ${errors.length} problem(s)`);
+    for (const error of errors) {
+      console.error(`  ${error}`);
+    }
+  } else {
+    console.log(`${absPath}: OK`);
+    console.log(`  name: ${config.name}`);
+    if (config.servers) {
+      for (const [id, server] of Object.entries(config.servers)) {
+        console.log(`  servers.${id}:`);
+        printServerSummary(server, '    ');
+      }
+      for (const [alias, target] of Object.entries(config.aliases || {})) {
+        console.log(`  alias: ${alias} -> ${target}`);
+      }
+    } else {
+      printServerSummary(config, '  ');
     }
-    port++;
+    for (const key of ['allowTools', 'denyTools', 'confirmTools']) {
+      if (config[key]) {
+        console.log(`  ${key}: ${config[key].join(', ')}`);
+      }
+    }
+    for (const [pattern, args] of Object.entries(config.argumentRules || {})) {
+      console.log(`  argumentRules.${pattern}: ${Object.keys(args).join(', ')}`);
+    }
+  }
+  
+  if (errors.length > 0) {
+    process.exit(1);
   }
-  throw new Error('No available port found');
 }
 
 function printUsage() {
@@ -210,33 +385,130 @@ Usage:
 
 Commands:
   start                  Start daemon for session
-  stop                   Stop daemon for session
+  stop                   Stop daemon for session (--all: every session)
+  restart                Stop the session and start it again
   status                 Check daemon status
-  tools                  List available tools
+  tools                  List available tools (--snapshot, --diff <file>)
+  describe <tool>        Show a tool's parameters, output and an example call
   call <tool> [args...]  Call MCP tool
+  resources              List available resources
+  resource-templates     List available resource templates
+  read <uri> [args...]   Read resource (args expand URI template)
+  watch <uri>            Wait for resource update, then read it
+  prompts                List available prompts
+  prompt <name> [args...]
+                         Get rendered prompt
+  complete <ref> <arg> [value] [args...]
+                         Complete prompt or resource template argument
+  run <script>           Run tool call steps from a JSONL or YAML script
+  shell                  Interactive prompt for calling tools
+  calls                  List in-flight tool calls
+  cancel <id|all>        Cancel in-flight tool call(s)
+  pending                List server requests (elicitation, sampling)
+                         waiting for an answer
+  respond <id> [key=value...|decline|cancel]
+                         Answer a pending request (sampling: text=<reply>)
+  roots [add <dir> [name]|remove <dir>]
+                         List or change directories advertised to servers
+  history [range]        Show recorded tool calls (e.g. 5, 3-10, 12-)
+  replay [range] --from <session>
+                         Re-run recorded calls of another session here
+  generate-skill         Generate SKILL.md, scripts/mcp and config.json
+  config check           Validate config.json (no session needed)
+  auth login|logout|status [server]
+                         Manage stored OAuth tokens (auth.type "oauth")
   sessions               List all sessions
+  completion bash|zsh|fish [name...]
+                         Print a shell completion script (for commands
+                         named mcp-skill-client, or the given names)
 
 Options:
   --session <name>       Session name (required, or set MCP_SESSION env)
-  --format <auto|json>   Output format (default: auto)
+  --format <format>      Output format: auto (default) or json; tool results
+                         also text, markdown, yaml or ndjson
+  --select <path>        call: print a field of structuredContent
+                         (e.g. items[0].id)
+  --output <file>        call: write the result to a file instead of stdout
   --output-dir <dir>     Directory for saving images/audio
+  --skill-dir <dir>      Skill directory for generate-skill (default: config dir)
+  --check                generate-skill: fail if SKILL.md is out of date
+  --snapshot             tools: print the tool list with schemas as JSON
+  --diff <file>          tools: compare with a --snapshot file; exits 1 when
+                         tools were added, removed or changed
+  --no-validate          call: skip inputSchema coercion and validation
+  --timeout <dur>        call: cancel the call after this long (e.g. 30s, 5m)
+  --quiet, -q            call: do not show progress and server log messages
+  --keep-going           run/replay: continue after a step fails (default: stop)
+  --yes, -y              call/run/replay: confirm tools listed in confirmTools
+  --tool <pattern>       history/replay: only calls of matching tools
+  --status <status>      history/replay: ok, error, timeout or cancelled
+  --since <time|dur>     history/replay: calls after a time or duration ago
+  --until <time|dur>     history/replay: calls before a time or duration ago
+  --limit <n>            history/replay: only the last n matching calls
+  --log-level <level>    start: server log level for the session (debug, info,
+                         notice, warning, error, critical, alert, emergency)
+  --tcp                  start: listen on a localhost TCP port instead of a
+                         Unix socket (still requires the session token)
+  --record <file>        start: save every exchange with the server to a
+                         fixture file for "transport": "replay"
+  --idle-timeout <dur>   start: stop daemon after this long without commands
+  --max-lifetime <dur>   start: stop daemon this long after it started
+  --all                  stop: stop every session in sessions.json
+  --wait <dur>           start/restart: how long to wait for the server to
+                         connect (default: startTimeout in config, else 30s)
+
+Tool arguments (call):
+  key=value              Value coerced to the type in the tool's inputSchema
+  key.sub=value          Nested object field
+  key=a key=b            Repeated keys build an array
+  key=@file.json         Read value from file (key=@- reads stdin, @@ escapes @)
+
+Exit codes (call):
+  1                      Error
+  124                    Call timed out
+  130                    Call cancelled (Ctrl-C or cancel command)
 
 Environment:
   MCP_SESSION            Default session name
 
-Config file format (config.json):
+Config file format (config.json, schema: config.schema.json):
   {
     "name": "my-mcp-server",
     "transport": "stdio",
     "command": "npx",
     "args": ["@org/mcp-server@1.0.0"],
-    "env": {}
+    "env": { "API_KEY": "\${API_KEY}" }
   }
 
+  \${VAR} and \${VAR:-default} in command, args, env, url, headers and auth
+  are replaced from the environment and from .env next to config.json.
+
+  Several servers: "servers": { "<id>": { "transport": ..., ... } } with
+  tools named <id>.<tool>, and "aliases": { "short": "<id>.<tool>" }.
+
+  Remote servers: "transport": "http" (falls back to SSE) or "sse", with
+  "url", optional "headers", and "auth" of type bearer, client_credentials
+  or oauth (then run auth login).
+
+  Offline tests: "transport": "replay" with "fixture": "<file>" answers from
+  a session recorded with start --record <file>.
+
+  Server requests: "elicitation": { "action": "ask|decline|cancel" } and
+  "sampling": { "action": "ask|decline|command", "command": "<cmd>" }.
+
+  Roots: "roots": ["./src", { "path": "../lib", "name": "lib" }] (relative to
+  the config file; default: the directory start was run in).
+
 Examples:
   mcp-skill-client --config ./config.json --session dev start
   mcp-skill-client --config ./config.json --session dev call browser_navigate url=https://example.com
   mcp-skill-client --config ./config.json --session dev tools
+  mcp-skill-client --config ./config.json --session dev read file:///tmp/notes.txt
+  mcp-skill-client --config ./config.json --session dev read "repo://{owner}/{name}" owner=org name=app
+  mcp-skill-client --config ./config.json --session dev prompt code_review code="$(cat main.js)"
+  mcp-skill-client --config ./config.json --session dev complete code_review language py
+  mcp-skill-client --config ./config.json --session dev history --tool 'browser_*' --since 1h
+  mcp-skill-client --config ./config.json --session repro replay 3-10 --from dev
   mcp-skill-client --config ./config.json --session dev stop
 `);
 }
@@ -278,6 +550,157 @@ function formatToolsAuto(result) {
     const desc = tool.description || '';
     lines.push(`${name} ${desc}`);
   }
+  appendUnavailable(lines, result);
+  return lines.join('\n');
+}
+
+// Multi-server listings skip servers that are down; say which
+function appendUnavailable(lines, result) {
+  for (const { server, error } of result.unavailable || []) {
+    lines.push(`[${server} unavailable: ${error}]`);
+  }
+}
+
+function formatResourceContents(resource, config, sessionName, outputDir) {
+  if (resource.text) {
+    return resource.text;
+  }
+  if (resource.blob) {
+    const dir = getOutputDir(config, sessionName, outputDir);
+    const mimeType = resource.mimeType || 'application/octet-stream';
+    const filepath = saveBase64File(resource.blob, mimeType, dir, 'resource');
+    return `[Resource saved: ${filepath}]`;
+  }
+  return null;
+}
+
+function formatResourcesAuto(result) {
+  if (!result.resources || !Array.isArray(result.resources)) {
+    return JSON.stringify(result, null, 2);
+  }
+  
+  const lines = [];
+  for (const resource of result.resources) {
+    const uri = resource.uri.padEnd(40);
+    const desc = resource.description || resource.name || '';
+    lines.push(`${uri} ${desc}`);
+  }
+  appendUnavailable(lines, result);
+  return lines.join('\n');
+}
+
+function formatResourceTemplatesAuto(result) {
+  if (!result.resourceTemplates || !Array.isArray(result.resourceTemplates)) {
+    return JSON.stringify(result, null, 2);
+  }
+  
+  const lines = [];
+  for (const template of result.resourceTemplates) {
+    const uri = template.uriTemplate.padEnd(40);
+    const desc = template.description || template.name || '';
+    lines.push(`${uri} ${desc}`);
+  }
+  appendUnavailable(lines, result);
+  return lines.join('\n');
+}
+
+function formatReadResultAuto(result, config, sessionName, outputDir) {
+  if (!result.contents || !Array.isArray(result.contents)) {
+    return JSON.stringify(result, null, 2);
+  }
+  
+  const output = [];
+  for (const resource of result.contents) {
+    const text = formatResourceContents(resource, config, sessionName, outputDir);
+    if (text !== null) {
+      output.push(text);
+    }
+  }
+  return output.join('\n');
+}
+
+function formatContentItem(item, config, sessionName, outputDir) {
+  switch (item.type) {
+    case 'text':
+      return item.text;
+      
+    case 'image': {
+      const dir = getOutputDir(config, sessionName, outputDir);
+      const filepath = saveBase64File(item.data, item.mimeType, dir, 'image');
+      return `[Image saved: ${filepath}]`;
+    }
+    
+    case 'audio': {
+      const dir = getOutputDir(config, sessionName, outputDir);
+      const filepath = saveBase64File(item.data, item.mimeType, dir, 'audio');
+      return `[Audio saved: ${filepath}]`;
+    }
+    
+    case 'resource_link':
+      return `[Resource: ${item.uri}${item.name ? ` (${item.name})` : ''}]`;
+      
+    case 'resource':
+      return item.resource ? formatResourceContents(item.resource, config, sessionName, outputDir) : null;
+      
+    default:
+      return JSON.stringify(item);
+  }
+}
+
+function formatPromptsAuto(result) {
+  if (!result.prompts || !Array.isArray(result.prompts)) {
+    return JSON.stringify(result, null, 2);
+  }
+  
+  const lines = [];
+  for (const prompt of result.prompts) {
+    const name = prompt.name.padEnd(30);
+    const desc = prompt.description || '';
+    lines.push(`${name} ${desc}`);
+    for (const arg of prompt.arguments || []) {
+      const label = `${arg.name}${arg.required ? ' (required)' : ''}`;
+      lines.push(`  ${label.padEnd(28)} ${arg.description || ''}`.trimEnd());
+    }
+  }
+  appendUnavailable(lines, result);
+  return lines.join('\n');
+}
+
+function formatPromptResultAuto(result, config, sessionName, outputDir) {
+  if (!result.messages || !Array.isArray(result.messages)) {
+    return JSON.stringify(result, null, 2);
+  }
+  
+  const output = [];
+  if (result.description) {
+    output.push(result.description, '');
+  }
+  
+  for (const message of result.messages) {
+    output.push(`[${message.role}]`);
+    // content is a single block per message, but accept arrays defensively
+    const items = Array.isArray(message.content) ? message.content : [message.content];
+    for (const item of items) {
+      const text = formatContentItem(item, config, sessionName, outputDir);
+      if (text !== null) {
+        output.push(text);
+      }
+    }
+    output.push('');
+  }
+  return output.join('\n').trimEnd();
+}
+
+function formatCompletionAuto(result) {
+  if (!result.completion || !Array.isArray(result.completion.values)) {
+    return JSON.stringify(result, null, 2);
+  }
+  
+  const lines = [...result.completion.values];
+  if (result.completion.hasMore) {
+    const total = result.completion.total ? ` (${result.completion.total} total)` : '';
+    lines.push(`... more values available${total}`);
+  }
   return lines.join('\n');
 }
 
@@ -292,44 +715,9 @@ function formatCallResultAuto(result, config, sessionName, outputDir) {
   // Handle content array
   if (result.content && Array.isArray(result.content)) {
     for (const item of result.content) {
-      switch (item.type) {
-        case 'text':
-          output.push(item.text);
-          break;
-          
-        case 'image': {
-          const dir = getOutputDir(config, sessionName, outputDir);
-          const filepath = saveBase64File(item.data, item.mimeType, dir, 'image');
-          output.push(`[Image saved: ${filepath}]`);
-          break;
-        }
-        
-        case 'audio': {
-          const dir = getOutputDir(config, sessionName, outputDir);
-          const filepath = saveBase64File(item.data, item.mimeType, dir, 'audio');
-          output.push(`[Audio saved: ${filepath}]`);
-          break;
-        }
-        
-        case 'resource_link':
-          output.push(`[Resource: ${item.uri}${item.name ? ` (${item.name})` : ''}]`);
-          break;
-          
-        case 'resource':
-          if (item.resource) {
-            if (item.resource.text) {
-              output.push(item.resource.text);
-            } else if (item.resource.blob) {
-              const dir = getOutputDir(config, sessionName, outputDir);
-              const mimeType = item.resource.mimeType || 'application/octet-stream';
-              const filepath = saveBase64File(item.resource.blob, mimeType, dir, 'resource');
-              output.push(`[Resource saved: ${filepath}]`);
-            }
-          }
-          break;
-          
-        default:
-          output.push(JSON.stringify(item));
+      const text = formatContentItem(item, config, sessionName, outputDir);
+      if (text !== null) {
+        output.push(text);
       }
     }
   }
@@ -342,14 +730,181 @@ function formatCallResultAuto(result, config, sessionName, outputDir) {
   return output.join('\n');
 }
 
+const OUTPUT_FORMATS = ['auto', 'json', 'text', 'markdown', 'yaml', 'ndjson'];
+
+function formatCallResult(result, format, config, sessionName, outputDir) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(result, null, 2);
+    case 'yaml':
+      return YAML.stringify(result).trimEnd();
+    case 'ndjson':
+      return JSON.stringify({ type: 'result', result });
+    case 'text':
+      return getResultText(result);
+    case 'markdown':
+      return formatCallResultMarkdown(result, config, sessionName, outputDir);
+    default:
+      return formatCallResultAuto(result, config, sessionName, outputDir);
+  }
+}
+
+function getResultText(result) {
+  return (result.content || []).filter(item => item.type === 'text').map(item => item.text).join('\n');
+}
+
+function formatCallResultMarkdown(result, config, sessionName, outputDir) {
+  const blocks = [];
+  if (result.isError) {
+    blocks.push('> **Error**');
+  }
+  if (result.structuredContent) {
+    blocks.push(fencedBlock(JSON.stringify(result.structuredContent, null, 2), 'json'));
+  }
+  
+  for (const item of result.content || []) {
+    switch (item.type) {
+      case 'text':
+        blocks.push(item.text);
+        break;
+      case 'image':
+      case 'audio': {
+        const filepath = saveBase64File(item.data, item.mimeType, getOutputDir(config, sessionName, outputDir), item.type);
+        blocks.push(item.type === 'image' ? `![image](${filepath})` : `[audio](${filepath})`);
+        break;
+      }
+      case 'resource_link':
+        blocks.push(`[${item.name || item.uri}](${item.uri})`);
+        break;
+      case 'resource':
+        blocks.push(item.resource?.text !== undefined
+          ? fencedBlock(item.resource.text, item.resource.mimeType?.split('/')[1] || '')
+          : formatResourceContents(item.resource, config, sessionName, outputDir));
+        break;
+      default:
+        blocks.push(fencedBlock(JSON.stringify(item, null, 2), 'json'));
+    }
+  }
+  return blocks.join('\n\n');
+}
+
+// A fence longer than any backtick run in the text, so the block cannot end early
+function fencedBlock(text, language) {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+// --select: a path into structuredContent, e.g. items[0].id (the syntax of script references)
+function selectStructuredContent(result, selectPath) {
+  if (!result.structuredContent) {
+    const error = result.isError ? ` (the call failed: ${getResultText(result)})` : '';
+    throw new Error(`--select: the result has no structuredContent${error}`);
+  }
+  let current = result.structuredContent;
+  for (const segment of selectPath.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean)) {
+    if (current === null || current === undefined || !(segment in Object(current))) {
+      throw new Error(`--select: no value at '${selectPath}' in structuredContent`);
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+// Strings print as-is except in json; ndjson puts each array element on its own line
+function formatSelection(value, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(value, null, 2);
+    case 'yaml':
+      return YAML.stringify(value).trimEnd();
+    case 'ndjson':
+      return (Array.isArray(value) ? value : [value]).map(item => JSON.stringify(item)).join('\n');
+    default:
+      return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  }
+}
+
+// Stdout, or with --output a file written once the command is done
+function createOutput(file) {
+  const chunks = [];
+  return {
+    write: (text) => (file ? chunks.push(text) : console.log(text)),
+    close: () => {
+      if (file) {
+        fs.writeFileSync(file, chunks.join('\n') + '\n');
+        console.error(`[Output saved: ${file}]`);
+      }
+    }
+  };
+}
+
+function describeEndpoint(session) {
+  return session.socket ? `socket: ${path.relative(process.cwd(), session.socket)}` : `port: ${session.port}`;
+}
+
+// Print an error from the API and exit; calls that did not complete get their own exit codes
+function exitWithError(e) {
+  if (e instanceof SessionNotRunningError) {
+    console.error(e.message);
+  } else {
+    console.error('Error:', e.message);
+  }
+  if (e instanceof DaemonStartError && e.logTail) {
+    console.error(`\nLast lines of ${e.logFile}:\n${e.logTail}`);
+  }
+  if (e instanceof CallTimeoutError) {
+    process.exit(EXIT_TIMEOUT);
+  }
+  if (e instanceof CallCancelledError) {
+    process.exit(EXIT_CANCELLED);
+  }
+  process.exit(1);
+}
+
 async function main() {
-  const { config: configPath, session, command, toolArgs, format, outputDir, _daemonPort } = parseArgs(args);
+  const { config: configPath, session, command, toolArgs, format, outputDir, select, output, skillDir, check, validate, idleTimeout, maxLifetime, wait, quiet, logLevel, timeout, keepGoing, yes, tcp, all, record, snapshot, diff, from, tool, status, since, until, limit, _daemonPort, _daemonSocket } = parseArgs(args);
   
   if (!command) {
     printUsage();
     process.exit(0);
   }
   
+  if (!OUTPUT_FORMATS.includes(format)) {
+    console.error(`Error: --format must be one of ${OUTPUT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  
+  // config check only reads the config file
+  if (command === 'config') {
+    if (toolArgs[0] !== 'check') {
+      console.error('Usage: mcp-skill-client --config <config.json> config check');
+      process.exit(1);
+    }
+    await checkConfig(configPath, format);
+    return;
+  }
+  
+  // completion prints a script; the script runs __complete on every <Tab>
+  if (command === 'completion') {
+    printCompletionScript(toolArgs[0], toolArgs.length > 1 ? toolArgs.slice(1) : ['mcp-skill-client']);
+    return;
+  }
+  if (command === '__complete') {
+    const candidates = await completeCommandLine(toolArgs[0] || '', { configPath, session });
+    if (candidates.length > 0) {
+      console.log(candidates.join('\n'));
+    }
+    return;
+  }
+  
+  // auth commands act on the server's stored OAuth tokens, not a session
+  if (command === 'auth') {
+    const config = loadConfig(configPath);
+    await authCommand(config, toolArgs[0], toolArgs[1], format);
+    return;
+  }
+  
   // sessions command doesn't require session name
   if (command === 'sessions') {
     const config = loadConfig(configPath);
@@ -357,10 +912,18 @@ async function main() {
     return;
   }
   
+  if (command === 'stop' && all) {
+    await stopAllDaemons(loadConfig(configPath));
+    return;
+  }
+  
   // daemon-run is internal command
   if (command === 'daemon-run') {
-    const config = loadConfig(configPath);
-    await runDaemon(config, session, _daemonPort);
+    const config = applyLifetimeOverrides(loadConfig(configPath, { launch: true }), idleTimeout, maxLifetime);
+    if (logLevel !== null) {
+      config.logLevel = logLevel;
+    }
+    await runDaemon(config, session, _daemonSocket ? { socket: _daemonSocket } : { port: _daemonPort }, { record });
     return;
   }
   
@@ -369,419 +932,1803 @@ async function main() {
     process.exit(1);
   }
   
-  const config = loadConfig(configPath);
-  
-  switch (command) {
-    case 'start':
-      await startDaemon(config, session);
-      break;
-    case 'stop':
-      await stopDaemon(config, session);
-      break;
-    case 'status':
-      await statusDaemon(config, session, format);
-      break;
-    case 'tools':
-      await listTools(config, session, format);
-      break;
-    case 'call':
-      await callTool(config, session, toolArgs, format, outputDir);
-      break;
-    default:
-      console.error(`Unknown command: ${command}`);
-      printUsage();
-      process.exit(1);
+  const client = new SkillClient({ config: loadConfig(configPath, { launch: command === 'start' }), session });
+  
+  try {
+    switch (command) {
+      case 'start':
+        await startDaemon(client, { tcp, record, idleTimeout, maxLifetime, logLevel, wait });
+        break;
+      case 'stop':
+        await stopDaemon(client);
+        break;
+      case 'restart':
+        await startDaemon(client, { tcp, record, idleTimeout, maxLifetime, logLevel, wait, restart: true });
+        break;
+      case 'status':
+        await statusDaemon(client, format);
+        break;
+      case 'tools':
+        await listTools(client, format, { snapshot, diff });
+        break;
+      case 'describe':
+        await describeTool(client, toolArgs, format);
+        break;
+      case 'call':
+        await callTool(client, toolArgs, { format, outputDir, select, output, validate, quiet, timeout, yes });
+        break;
+      case 'shell':
+        await runShell(client, { format, outputDir });
+        break;
+      case 'run':
+        await runScript(client, toolArgs, { format, outputDir, keepGoing, yes });
+        break;
+      case 'history':
+        await showHistory(client, toolArgs, { format, tool, status, since, until, limit });
+        break;
+      case 'replay':
+        await replayHistory(client, toolArgs, { format, outputDir, keepGoing, yes, from, tool, status, since, until, limit });
+        break;
+      case 'calls':
+        await listCalls(client, format);
+        break;
+      case 'cancel':
+        await cancelCalls(client, toolArgs);
+        break;
+      case 'pending':
+        await listPending(client, format);
+        break;
+      case 'respond':
+        await respondToRequest(client, toolArgs);
+        break;
+      case 'roots':
+        await manageRoots(client, toolArgs, format);
+        break;
+      case 'resources':
+        await listResources(client, format);
+        break;
+      case 'resource-templates':
+        await listResourceTemplates(client, format);
+        break;
+      case 'read':
+        await readResource(client, toolArgs, format, outputDir);
+        break;
+      case 'watch':
+        await watchResource(client, toolArgs, format, outputDir);
+        break;
+      case 'prompts':
+        await listPrompts(client, format);
+        break;
+      case 'prompt':
+        await getPrompt(client, toolArgs, format, outputDir);
+        break;
+      case 'complete':
+        await completeArgument(client, toolArgs, format);
+        break;
+      case 'generate-skill':
+        await generateSkill(client, skillDir, check);
+        break;
+      default:
+        console.error(`Unknown command: ${command}`);
+        printUsage();
+        process.exit(1);
+    }
+  } catch (e) {
+    exitWithError(e);
   }
 }
 
 // ============ Daemon Control ============
 
-async function startDaemon(config, sessionName) {
-  const existingSession = getSession(config, sessionName);
-  
-  // Check if already running
-  if (existingSession) {
-    try {
-      process.kill(existingSession.pid, 0);
-      console.log(`Session '${sessionName}' already running (PID: ${existingSession.pid}, port: ${existingSession.port})`);
-      return;
-    } catch (e) {
-      // Process not running, clean up
-      deleteSession(config, sessionName);
-    }
-  }
-  
-  // Find available port
-  const port = await findAvailablePort(config);
-  
-  // Start daemon process
-  const logFile = getLogFile(config, sessionName);
-  const out = fs.openSync(logFile, 'a');
-  const err = fs.openSync(logFile, 'a');
+async function startDaemon(client, options = {}) {
+  const { tcp, record, idleTimeout, maxLifetime, logLevel, wait, restart } = options;
+  const sessionName = client.sessionName;
+  const startOptions = {
+    // Unset flags must not override what restart takes over from the old session
+    tcp: tcp || undefined,
+    record: record ?? undefined,
+    // Command line flags win over config.json
+    idleTimeout: idleTimeout ?? undefined,
+    maxLifetime: maxLifetime ?? undefined,
+    logLevel: logLevel ?? undefined,
+    wait: wait ?? undefined
+  };
   
-  const child = spawn('node', [
-    __filename,
-    '--config', config._configPath,
-    '--session', sessionName,
-    '--_port', port.toString(),
-    'daemon-run'
-  ], {
-    detached: true,
-    stdio: ['ignore', out, err],
-    env: { ...process.env, ...config.env }
-  });
+  const started = restart ? await client.restart(startOptions) : await client.start(startOptions);
   
-  // Save session info
-  setSession(config, sessionName, {
-    pid: child.pid,
-    port: port,
-    startedAt: new Date().toISOString()
-  });
-  
-  child.unref();
-  
-  // Wait and check
-  await sleep(2000);
-  
-  try {
-    await httpGet(`http://localhost:${port}/status`);
-    console.log(`Session '${sessionName}' started (PID: ${child.pid}, port: ${port})`);
-    console.log(`Server: ${config.name}`);
-  } catch (e) {
-    console.error('Failed to start daemon. Check logs:', logFile);
-    deleteSession(config, sessionName);
+  if (started.alreadyRunning) {
+    console.log(`Session '${sessionName}' already running (PID: ${started.pid}, ${describeEndpoint(started)})`);
+    return;
+  }
+  console.log(`Session '${sessionName}' ${started.restarted ? 'restarted' : 'started'} (PID: ${started.pid}, ${describeEndpoint(started)})`);
+  console.log(`Server: ${client.config.name}`);
+  for (const { server, error } of started.unavailable || []) {
+    console.log(`Warning: server ${server} not connected (${error}); retrying in the background`);
+  }
+  if (started.recording) {
+    console.log(`Recording to: ${started.recording}`);
   }
 }
 
-async function stopDaemon(config, sessionName) {
-  const session = getSession(config, sessionName);
+async function stopDaemon(client) {
+  const stopped = await client.stop();
   
-  if (!session) {
-    console.log(`Session '${sessionName}' not running`);
+  if (!stopped) {
+    console.log(`Session '${client.sessionName}' not running`);
+  } else if (stopped.stopped) {
+    console.log(`Session '${client.sessionName}' stopped (PID: ${stopped.pid}${stopped.forced ? ', killed after it did not exit in time' : ''})`);
+  } else {
+    console.log('Daemon process not found');
+  }
+}
+
+async function stopAllDaemons(config) {
+  const results = await SkillClient.stopAll(config);
+  if (results.length === 0) {
+    console.log('No active sessions');
     return;
   }
   
-  try {
-    process.kill(session.pid, 'SIGTERM');
-    console.log(`Session '${sessionName}' stopped (PID: ${session.pid})`);
-  } catch (e) {
-    console.log('Daemon process not found');
+  let failed = false;
+  for (const result of results) {
+    if (result.error) {
+      failed = true;
+      console.error(`Session '${result.name}': ${result.error}`);
+    } else if (result.stopped) {
+      console.log(`Session '${result.name}' stopped (PID: ${result.pid}${result.forced ? ', killed after it did not exit in time' : ''})`);
+    } else {
+      console.log(`Session '${result.name}' was not running (PID: ${result.pid})`);
+    }
+  }
+  if (failed) {
+    process.exit(1);
   }
-  
-  deleteSession(config, sessionName);
 }
 
-async function statusDaemon(config, sessionName, format) {
-  const session = getSession(config, sessionName);
+async function statusDaemon(client, format) {
+  const sessionName = client.sessionName;
+  const session = getSession(client.config, sessionName);
   
   if (!session) {
     console.log(`Session '${sessionName}' not running`);
     return;
   }
   
+  let status;
   try {
     process.kill(session.pid, 0);
-    const status = await httpGet(`http://localhost:${session.port}/status`);
-    
-    if (format === 'json') {
-      console.log(status);
-    } else {
-      const parsed = JSON.parse(status);
-      console.log(`Session '${sessionName}' running (PID: ${session.pid}, port: ${session.port})`);
-      console.log(`Server: ${parsed.server}`);
-      console.log(`Connected: ${parsed.connected}`);
-      if (parsed.lastError) {
-        console.log(`Last error: ${parsed.lastError}`);
-      }
-    }
+    status = await client.status();
   } catch (e) {
     console.log(`Session '${sessionName}' not responding (PID: ${session.pid})`);
+    return;
+  }
+  
+  if (format === 'json') {
+    console.log(JSON.stringify(status, null, 2));
+    return;
+  }
+  
+  console.log(`Session '${sessionName}' running (PID: ${session.pid}, ${describeEndpoint(session)})`);
+  console.log(`Server: ${status.server}`);
+  if (status.servers) {
+    console.log(`State: ${status.state}`);
+    for (const [id, server] of Object.entries(status.servers)) {
+      console.log(`  ${id}: ${formatServerState(server)}`);
+    }
+  } else {
+    console.log(`Transport: ${status.transport}`);
+    console.log(`Connected: ${status.connected}`);
+    console.log(`State: ${status.state}`);
+    console.log(`Restarts: ${status.restartCount}`);
+    if (status.lastExitCode !== null && status.lastExitCode !== undefined) {
+      console.log(`Last exit code: ${status.lastExitCode}`);
+    }
+    if (status.lastError) {
+      console.log(`Last error: ${status.lastError}`);
+    }
+  }
+  if (status.recording) {
+    console.log(`Recording to: ${status.recording}`);
+  }
+  if (status.pendingRequests > 0) {
+    console.log(`Pending requests: ${status.pendingRequests} (see 'pending')`);
   }
+  if (status.shutdown) {
+    const remaining = Math.max(status.shutdown.at - Date.now(), 0);
+    console.log(`Auto-shutdown: in ${formatDuration(remaining)} (${status.shutdown.reason})`);
+  }
+}
+
+// One-line state of a server in a multi-server session
+function formatServerState(server) {
+  const details = [server.transport, `restarts: ${server.restartCount}`];
+  if (server.lastExitCode !== null && server.lastExitCode !== undefined) {
+    details.push(`exit code: ${server.lastExitCode}`);
+  }
+  return `${server.state} (${details.join(', ')})${server.lastError ? ` - ${server.lastError}` : ''}`;
 }
 
 async function listSessions(config, format) {
-  const sessions = loadSessions(config);
-  
   if (format === 'json') {
-    console.log(JSON.stringify(sessions, null, 2));
+    console.log(JSON.stringify(loadSessions(config), null, 2));
     return;
   }
   
-  const entries = Object.entries(sessions);
-  if (entries.length === 0) {
+  const sessions = await SkillClient.listSessions(config);
+  if (sessions.length === 0) {
     console.log('No active sessions');
     return;
   }
   
-  for (const [name, info] of entries) {
-    let status = 'unknown';
-    try {
-      process.kill(info.pid, 0);
-      status = 'running';
-    } catch (e) {
-      status = 'dead';
-    }
-    console.log(`${name.padEnd(20)} PID: ${info.pid}, port: ${info.port}, status: ${status}`);
+  for (const info of sessions) {
+    console.log(`${info.name.padEnd(20)} PID: ${info.pid}, ${describeEndpoint(info)}, status: ${info.running ? 'running' : 'dead'}`);
   }
 }
 
-async function listTools(config, sessionName, format) {
-  const session = getSession(config, sessionName);
+async function listTools(client, format, { snapshot = false, diff = null } = {}) {
+  if (snapshot) {
+    console.log(JSON.stringify(await client.snapshotTools(), null, 2));
+    return;
+  }
+  if (diff) {
+    await diffTools(client, diff, format);
+    return;
+  }
   
-  if (!session) {
-    console.error(`Session '${sessionName}' not running. Start it first.`);
+  const result = await client.listTools();
+  
+  if (format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(formatToolsAuto(result));
+  }
+}
+
+async function describeTool(client, toolArgs, format) {
+  if (toolArgs.length === 0) {
+    console.error('Usage: mcp-skill-client --config <config> --session <name> describe <tool>');
     process.exit(1);
   }
   
-  try {
-    const result = await httpGet(`http://localhost:${session.port}/tools`);
-    
-    if (format === 'json') {
-      console.log(result);
-    } else {
-      const parsed = JSON.parse(result);
-      console.log(formatToolsAuto(parsed));
+  const tool = await client.getTool(toolArgs[0]);
+  if (format === 'json') {
+    console.log(JSON.stringify(tool, null, 2));
+    return;
+  }
+  
+  const configPath = path.relative(process.cwd(), client.config._configPath) || client.config._configPath;
+  console.log(formatToolDescription(tool, `mcp-skill-client --config ${configPath} --session ${client.sessionName} call`));
+}
+
+async function diffTools(client, snapshotPath, format) {
+  const before = fs.existsSync(snapshotPath) ? tryParseJson(fs.readFileSync(snapshotPath, 'utf8')) : undefined;
+  if (!Array.isArray(before?.tools)) {
+    console.error(`Error: ${snapshotPath} is not a tools snapshot (create one with tools --snapshot)`);
+    process.exit(1);
+  }
+  
+  const diff = diffToolSnapshots(before, await client.snapshotTools());
+  const changeCount = diff.added.length + diff.removed.length + diff.changed.length;
+  
+  if (format === 'json') {
+    console.log(JSON.stringify(diff, null, 2));
+  } else {
+    for (const [server, { from, to }] of Object.entries(diff.versions)) {
+      console.log(`${server}: ${from ?? '?'} -> ${to ?? '?'}`);
     }
-  } catch (e) {
-    console.error('Error:', e.message);
+    for (const name of diff.added) {
+      console.log(`+ ${name}`);
+    }
+    for (const name of diff.removed) {
+      console.log(`- ${name}`);
+    }
+    for (const { name, changes } of diff.changed) {
+      console.log(`~ ${name}: ${changes.join('; ')}`);
+    }
+    console.log(changeCount === 0
+      ? `No tool changes since ${snapshotPath}`
+      : `${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed since ${snapshotPath}`);
+  }
+  
+  if (changeCount > 0) {
     process.exit(1);
   }
 }
 
-async function callTool(config, sessionName, toolArgs, format, outputDir) {
+async function callTool(client, toolArgs, options = {}) {
+  const { format = 'auto', outputDir = null, select = null, output = null, validate = true, quiet = false, timeout = null, yes = false } = options;
+  
   if (toolArgs.length === 0) {
     console.error('Usage: mcp-skill-client --config <config> --session <name> call <tool> [key=value...]');
     process.exit(1);
   }
   
-  const session = getSession(config, sessionName);
+  const toolName = toolArgs[0];
   
-  if (!session) {
-    console.error(`Session '${sessionName}' not running. Start it first.`);
-    process.exit(1);
+  if (timeout !== null) {
+    try {
+      parseDuration(timeout);
+    } catch (e) {
+      console.error(`Error: --timeout: ${e.message}`);
+      process.exit(1);
+    }
   }
   
-  const toolName = toolArgs[0];
-  const toolArguments = {};
+  // The definition also gives the outputSchema the result is checked against
+  const tool = validate ? await client.getTool(toolName) : null;
+  const toolArguments = tool
+    ? parseToolArguments(toolArgs.slice(1), tool)
+    : parseKeyValueArgs(toolArgs.slice(1));
+  const out = createOutput(output);
   
-  for (let i = 1; i < toolArgs.length; i++) {
-    const arg = toolArgs[i];
-    const eqIndex = arg.indexOf('=');
-    if (eqIndex > 0) {
-      const key = arg.substring(0, eqIndex);
-      let value = arg.substring(eqIndex + 1);
-      // Try to parse JSON values
-      try {
-        value = JSON.parse(value);
-      } catch (e) {
-        // Keep as string
-      }
-      toolArguments[key] = value;
+  // Exiting closes the connection, which makes the daemon cancel the call on the server
+  process.once('SIGINT', () => {
+    console.error('Cancelled');
+    process.exit(EXIT_CANCELLED);
+  });
+  
+  // Progress and log events go to stderr as they arrive (ndjson: to the output); the result goes to the output
+  const onEvent = quiet ? () => {}
+    : format === 'ndjson' && select === null ? event => out.write(JSON.stringify(event))
+    : printCallEvent;
+  const onRequest = createRequestHandler(client, terminalQuestion);
+  const send = (confirmed) => client.callTool(toolName, toolArguments, { timeout, confirmed, onProgress: onEvent, onLog: onEvent, onRequest });
+  
+  let result;
+  try {
+    result = await send(yes);
+  } catch (e) {
+    if (e.code !== 'confirmation_required' || !(await confirmOnTerminal(`Call ${toolName} ${JSON.stringify(toolArguments)}?`))) {
+      throw e;
     }
+    result = await send(true);
+  }
+  
+  out.write(select !== null
+    ? formatSelection(selectStructuredContent(result, select), format)
+    : formatCallResult(result, format, client.config, client.sessionName, outputDir));
+  out.close();
+  
+  const outputError = tool ? validateToolOutput(tool, result) : null;
+  if (outputError) {
+    console.error(`Error: ${outputError}`);
+    process.exit(1);
+  }
+}
+
+async function runScript(client, toolArgs, options = {}) {
+  if (toolArgs.length === 0) {
+    console.error('Usage: mcp-skill-client --config <config> --session <name> run <script.jsonl|script.yaml> [--keep-going]');
+    process.exit(1);
   }
   
+  const steps = loadScript(toolArgs[0]);
+  await printRunReport(client, (confirmed) => client.run(steps, { keepGoing: options.keepGoing, confirmed }), options);
+}
+
+// Run steps through `run(confirmed)` and print the report, asking first when a step needs confirmation
+async function printRunReport(client, run, options = {}) {
+  const { format = 'auto', outputDir = null, yes = false } = options;
+  
+  let report;
   try {
-    const result = await httpPost(`http://localhost:${session.port}/call`, {
-      tool: toolName,
-      arguments: toolArguments
-    });
-    
-    if (format === 'json') {
-      console.log(result);
-    } else {
-      const parsed = JSON.parse(result);
-      console.log(formatCallResultAuto(parsed, config, sessionName, outputDir));
-    }
+    report = await run(yes);
   } catch (e) {
-    console.error('Error:', e.message);
+    if (e.code !== 'confirmation_required' || !(await confirmOnTerminal(`Script calls ${e.tools.join(', ')}, which need confirmation. Run it?`))) {
+      throw e;
+    }
+    report = await run(true);
+  }
+  
+  if (format === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(formatRunReportAuto(report, client.config, client.sessionName, outputDir));
+  }
+  
+  if (!report.ok) {
     process.exit(1);
   }
 }
 
-// ============ Daemon Process ============
-
-async function runDaemon(config, sessionName, port) {
-  console.log(`[${new Date().toISOString()}] Starting daemon for ${config.name} (session: ${sessionName})`);
+async function listCalls(client, format) {
+  const result = await client.listCalls();
   
-  const client = new Client({
-    name: 'mcp-skill-client',
-    version: '1.0.0'
-  });
+  if (format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
   
-  let connected = false;
-  let lastError = null;
+  if (result.calls.length === 0) {
+    console.log('No calls in progress');
+    return;
+  }
+  for (const call of result.calls) {
+    const elapsed = formatDuration(Date.now() - new Date(call.startedAt).getTime());
+    const limit = call.timeout ? ` / timeout ${formatDuration(call.timeout)}` : '';
+    console.log(`${String(call.id).padEnd(6)} ${call.tool.padEnd(30)} running ${elapsed}${limit}`);
+  }
+}
+
+async function cancelCalls(client, toolArgs) {
+  if (toolArgs.length === 0) {
+    console.error('Usage: mcp-skill-client --config <config> --session <name> cancel <id|all>');
+    process.exit(1);
+  }
   
-  // Connect based on transport type
-  try {
-    if (config.transport === 'stdio') {
-      console.log(`[${new Date().toISOString()}] Starting server: ${config.command} ${config.args?.join(' ') || ''}`);
-      
-      const transport = new StdioClientTransport({
-        command: config.command,
-        args: config.args || [],
-        env: { ...process.env, ...config.env },
-        stderr: 'pipe'
-      });
-      
-      // Capture stderr for logging
-      transport.stderr?.on('data', (data) => {
-        console.error(`[${new Date().toISOString()}] [server stderr] ${data.toString().trim()}`);
-      });
-      
-      await client.connect(transport);
-      connected = true;
-      console.log(`[${new Date().toISOString()}] Connected via stdio`);
-      
-    } else if (config.transport === 'http') {
-      console.log(`[${new Date().toISOString()}] Connecting to ${config.url}`);
-      const transport = new StreamableHTTPClientTransport(new URL(config.url));
-      await client.connect(transport);
-      connected = true;
-      console.log(`[${new Date().toISOString()}] Connected via HTTP`);
-      
-    } else {
-      throw new Error(`Unknown transport: ${config.transport}`);
+  const { cancelled } = await client.cancelCall(toolArgs[0]);
+  if (cancelled.length === 0) {
+    console.log('No matching calls in progress');
+  } else {
+    for (const call of cancelled) {
+      console.log(`Cancelled call ${call.id} (${call.tool})`);
     }
-  } catch (e) {
-    lastError = e.message;
-    console.error(`[${new Date().toISOString()}] Failed to connect:`, e.message);
+  }
+}
+
+async function manageRoots(client, toolArgs, format) {
+  const [action, dir, name] = toolArgs;
+  if (action && (!['add', 'remove'].includes(action) || !dir)) {
+    console.error('Usage: mcp-skill-client --config <config> --session <name> roots [add <dir> [name]|remove <dir>]');
+    process.exit(1);
   }
   
-  // HTTP server for receiving commands
-  const server = http.createServer(async (req, res) => {
-    const url = new URL(req.url, `http://localhost:${port}`);
-    
-    // CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    if (req.method === 'OPTIONS') {
-      res.writeHead(204);
-      res.end();
-      return;
-    }
-    
-    if (url.pathname === '/status') {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ connected, lastError, server: config.name, session: sessionName }));
-      return;
-    }
-    
-    if (url.pathname === '/tools' && req.method === 'GET') {
-      try {
-        if (!connected) {
-          res.writeHead(503, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Not connected to MCP server' }));
-          return;
-        }
-        
-        const result = await client.listTools();
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(result, null, 2));
-      } catch (e) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: e.message }));
-      }
-      return;
-    }
-    
-    if (url.pathname === '/call' && req.method === 'POST') {
-      let body = '';
-      req.on('data', chunk => body += chunk);
-      req.on('end', async () => {
-        try {
-          const { tool, arguments: toolArgs } = JSON.parse(body);
-          
-          if (!connected) {
-            res.writeHead(503, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Not connected to MCP server' }));
-            return;
-          }
-          
-          console.log(`[${new Date().toISOString()}] Calling tool: ${tool}`, toolArgs);
-          
-          const result = await client.callTool({ name: tool, arguments: toolArgs });
-          
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify(result, null, 2));
-        } catch (e) {
-          console.error(`[${new Date().toISOString()}] Error:`, e.message);
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: e.message }));
-        }
-      });
-      return;
-    }
-    
-    res.writeHead(404);
-    res.end('Not Found');
-  });
+  const result = action === 'add' ? await client.addRoot(dir, { name })
+    : action === 'remove' ? await client.removeRoot(dir)
+    : await client.listRoots();
   
-  server.listen(port, 'localhost', () => {
-    console.log(`[${new Date().toISOString()}] Daemon listening on http://localhost:${port}`);
-  });
+  if (format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
   
-  // Handle shutdown
-  const shutdown = () => {
-    console.log(`[${new Date().toISOString()}] Shutting down...`);
-    server.close();
-    process.exit(0);
-  };
+  if (result.roots.length === 0) {
+    console.log('No roots');
+    return;
+  }
+  for (const root of result.roots) {
+    console.log(root.name ? `${root.uri}  (${root.name})` : root.uri);
+  }
+}
+
+function printCallEvent(event) {
+  if (event.type === 'progress') {
+    const total = event.total !== undefined ? `/${event.total}` : '';
+    const message = event.message ? ` ${event.message}` : '';
+    console.error(`[progress ${event.progress}${total}]${message}`);
+  } else if (event.type === 'log') {
+    const logger = event.logger ? ` ${event.logger}` : '';
+    const data = typeof event.data === 'string' ? event.data : JSON.stringify(event.data);
+    console.error(`[${event.level}${logger}] ${data}`);
+  }
+}
+
+async function listResources(client, format) {
+  const result = await client.listResources();
   
-  process.on('SIGTERM', shutdown);
-  process.on('SIGINT', shutdown);
+  if (format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(formatResourcesAuto(result));
+  }
 }
 
-// ============ Utilities ============
+async function listResourceTemplates(client, format) {
+  const result = await client.listResourceTemplates();
+  
+  if (format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(formatResourceTemplatesAuto(result));
+  }
+}
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+async function readResource(client, toolArgs, format, outputDir) {
+  if (toolArgs.length === 0) {
+    console.error('Usage: mcp-skill-client --config <config> --session <name> read <uri> [key=value...]');
+    process.exit(1);
+  }
+  
+  const result = await client.readResource(toolArgs[0], parseKeyValueArgs(toolArgs.slice(1), { parseJson: false }));
+  
+  if (format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(formatReadResultAuto(result, client.config, client.sessionName, outputDir));
+  }
 }
 
-function httpGet(url) {
-  return new Promise((resolve, reject) => {
-    http.get(url, res => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve(data));
-    }).on('error', reject);
-  });
+async function watchResource(client, toolArgs, format, outputDir) {
+  if (toolArgs.length === 0) {
+    console.error('Usage: mcp-skill-client --config <config> --session <name> watch <uri> [key=value...]');
+    process.exit(1);
+  }
+  
+  const variables = parseKeyValueArgs(toolArgs.slice(1), { parseJson: false });
+  
+  // Blocks until the server sends notifications/resources/updated for this URI
+  await client.waitForResourceUpdate(toolArgs[0], variables);
+  const result = await client.readResource(toolArgs[0], variables);
+  
+  if (format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(formatReadResultAuto(result, client.config, client.sessionName, outputDir));
+  }
 }
 
-function httpPost(url, data) {
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    const postData = JSON.stringify(data);
-    
-    const req = http.request({
-      hostname: urlObj.hostname,
-      port: urlObj.port,
-      path: urlObj.pathname,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
-      }
-    }, res => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode >= 400) {
-          reject(new Error(data));
-        } else {
-          resolve(data);
-        }
-      });
-    });
-    
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
-  });
+async function listPrompts(client, format) {
+  const result = await client.listPrompts();
+  
+  if (format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(formatPromptsAuto(result));
+  }
 }
 
-main().catch(e => {
-  console.error(e);
-  process.exit(1);
-});
+async function getPrompt(client, toolArgs, format, outputDir) {
+  if (toolArgs.length === 0) {
+    console.error('Usage: mcp-skill-client --config <config> --session <name> prompt <prompt> [key=value...]');
+    process.exit(1);
+  }
+  
+  // Prompt arguments are string-valued per the MCP spec
+  const result = await client.getPrompt(toolArgs[0], parseKeyValueArgs(toolArgs.slice(1), { parseJson: false }));
+  
+  if (format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(formatPromptResultAuto(result, client.config, client.sessionName, outputDir));
+  }
+}
+
+async function completeArgument(client, toolArgs, format) {
+  if (toolArgs.length < 2) {
+    console.error('Usage: mcp-skill-client --config <config> --session <name> complete <prompt|uri-template> <argument> [value] [key=value...]');
+    process.exit(1);
+  }
+  
+  const [target, argumentName, ...rest] = toolArgs;
+  // A partial value is optional; anything after it is context (already-filled arguments)
+  const value = rest.length > 0 && !rest[0].includes('=') ? rest.shift() : '';
+  const context = parseKeyValueArgs(rest, { parseJson: false });
+  
+  const result = await client.complete(target, argumentName, value, context);
+  
+  if (format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(formatCompletionAuto(result));
+  }
+}
+
+function parseKeyValueArgs(kvArgs, { parseJson = true } = {}) {
+  const result = {};
+  
+  for (const arg of kvArgs) {
+    const eqIndex = arg.indexOf('=');
+    if (eqIndex > 0) {
+      const key = arg.substring(0, eqIndex);
+      let value = arg.substring(eqIndex + 1);
+      // Try to parse JSON values
+      if (parseJson) {
+        try {
+          value = JSON.parse(value);
+        } catch (e) {
+          // Keep as string
+        }
+      }
+      result[key] = value;
+    }
+  }
+  
+  return result;
+}
+
+// ============ Server Requests ============
+
+async function listPending(client, format) {
+  const result = await client.listPending();
+  
+  if (format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  
+  if (result.requests.length === 0) {
+    console.log('No pending requests');
+    return;
+  }
+  for (const request of result.requests) {
+    const age = formatDuration(Date.now() - new Date(request.createdAt).getTime());
+    const server = request.server ? ` [${request.server}]` : '';
+    console.log(`${String(request.id).padEnd(6)} ${request.kind.padEnd(12)} ${age} ago${server}  ${describeServerRequest(request)}`);
+    console.log(`       answer: ${describeAnswer(request)}`);
+  }
+}
+
+async function respondToRequest(client, toolArgs) {
+  if (toolArgs.length === 0) {
+    console.error('Usage: mcp-skill-client --config <config> --session <name> respond <id> [key=value...|text=<reply>|decline|cancel]');
+    process.exit(1);
+  }
+  
+  const [id, ...rest] = toolArgs;
+  let answer;
+  if (rest[0] === 'decline' || rest[0] === 'cancel') {
+    answer = { action: rest[0] };
+  } else {
+    const { requests } = await client.listPending();
+    const request = requests.find(candidate => candidate.id === Number(id));
+    if (!request) {
+      throw new Error(`No pending request ${id}`);
+    }
+    answer = parseAcceptAnswer(request, rest);
+  }
+  
+  await client.respond(id, answer);
+  console.log(`Request ${id} ${{ accept: 'accepted', decline: 'declined', cancel: 'cancelled' }[answer.action]}`);
+}
+
+// Accept answer from key=value arguments: form values, or text=<reply> for sampling
+function parseAcceptAnswer(request, kvArgs) {
+  if (request.kind === 'sampling') {
+    const { text } = parseKeyValueArgs(kvArgs, { parseJson: false });
+    if (text === undefined) {
+      throw new Error(`Request ${request.id} is a sampling request; answer with text=<reply>`);
+    }
+    return { action: 'accept', text };
+  }
+  if (request.params.mode === 'url') {
+    return { action: 'accept' };
+  }
+  const form = { inputSchema: request.params.requestedSchema };
+  return { action: 'accept', content: parseToolArguments(kvArgs, form, `request ${request.id}`) };
+}
+
+function describeServerRequest(request) {
+  const { kind, params } = request;
+  if (kind === 'sampling') {
+    const content = params.messages[params.messages.length - 1]?.content;
+    return [content].flat().map(item => (item?.type === 'text' ? item.text : `[${item?.type}]`)).join(' ');
+  }
+  return params.mode === 'url' ? `${params.message} (${params.url})` : params.message;
+}
+
+// How to answer a request with the respond command
+function describeAnswer(request) {
+  const respond = `respond ${request.id}`;
+  if (request.kind === 'sampling') {
+    return `${respond} text=<reply> | ${respond} decline`;
+  }
+  if (request.params.mode === 'url') {
+    return `${respond} (done) | ${respond} decline`;
+  }
+  const fields = Object.entries(request.params.requestedSchema.properties)
+    .map(([name, property]) => `${name}=<${property.enum ? property.enum.join('|') : property.type}>`);
+  return `${respond} ${fields.join(' ')} | ${respond} decline`;
+}
+
+/**
+ * onRequest handler for callTool(): asks on the terminal through `ask(question)`,
+ * one request at a time. Without a terminal it prints how to answer with the
+ * respond command instead.
+ */
+function createRequestHandler(client, ask) {
+  let answering = Promise.resolve();
+  return (request) => {
+    console.error(`[${request.kind} ${request.id}] ${describeServerRequest(request)}`);
+    if (!process.stdin.isTTY || !process.stderr.isTTY) {
+      console.error(`  answer with: ${describeAnswer(request)}`);
+      return;
+    }
+    answering = answering
+      .then(async () => client.respond(request.id, await askServerRequest(request, ask)))
+      .catch(e => console.error('Error:', e.message));
+  };
+}
+
+async function askServerRequest(request, ask) {
+  const { kind, params } = request;
+  if (kind === 'sampling') {
+    for (const message of params.messages) {
+      const text = [message.content].flat().map(item => (item.type === 'text' ? item.text : `[${item.type}]`)).join(' ');
+      console.error(`  [${message.role}] ${text}`);
+    }
+    const reply = await ask('Reply (empty to decline): ');
+    return reply.trim() ? { action: 'accept', text: reply } : { action: 'decline' };
+  }
+  
+  const action = parseAnswerAction(await ask(params.mode === 'url'
+    ? 'Done? [y]es, [n]o (decline), [c]ancel: '
+    : 'Answer? [y]es, [n]o (decline), [c]ancel: '));
+  if (action !== 'accept' || params.mode === 'url') {
+    return { action };
+  }
+  
+  // Ask field by field until the values pass the requested schema
+  const schema = params.requestedSchema;
+  for (;;) {
+    const kvArgs = [];
+    for (const [name, property] of Object.entries(schema.properties)) {
+      const hints = [
+        property.enum ? property.enum.join('|') : property.type,
+        schema.required?.includes(name) ? 'required' : null,
+        property.default !== undefined ? `default ${property.default}` : null
+      ].filter(Boolean);
+      const description = property.description ? ` - ${property.description}` : '';
+      const value = await ask(`  ${property.title || name}${description} (${hints.join(', ')}): `);
+      if (value !== '') {
+        kvArgs.push(`${name}=${value}`);
+      }
+    }
+    try {
+      return parseAcceptAnswer(request, kvArgs);
+    } catch (e) {
+      console.error('Error:', e.message);
+    }
+  }
+}
+
+function parseAnswerAction(answer) {
+  if (/^y(es)?$/i.test(answer.trim())) {
+    return 'accept';
+  }
+  return /^c(ancel)?$/i.test(answer.trim()) ? 'cancel' : 'decline';
+}
+
+// ============ Argument Parsing ============
+
+/**
+ * Build tool arguments from key=value pairs using the tool's inputSchema.
+ * Throws with a user-facing message on unknown, missing or invalid parameters;
+ * `subject` names what the arguments are for in those messages.
+ */
+function parseToolArguments(kvArgs, tool, subject = `tool '${tool.name}'`) {
+  const schema = tool.inputSchema || {};
+  const result = {};
+  let stdinUsed = false;
+  
+  for (const arg of kvArgs) {
+    const eqIndex = arg.indexOf('=');
+    if (eqIndex <= 0) {
+      throw new Error(`Invalid argument '${arg}' for ${subject} (expected key=value)`);
+    }
+    
+    const key = arg.substring(0, eqIndex);
+    let raw = arg.substring(eqIndex + 1);
+    
+    if (raw === '@-') {
+      if (stdinUsed) {
+        throw new Error('Only one argument can read from stdin (@-)');
+      }
+      stdinUsed = true;
+      raw = fs.readFileSync(0, 'utf8');
+    } else if (raw.startsWith('@@')) {
+      raw = raw.substring(1);
+    } else if (raw.startsWith('@') && raw.length > 1) {
+      const file = path.resolve(raw.substring(1));
+      if (!fs.existsSync(file)) {
+        throw new Error(`File not found for parameter '${key}': ${file}`);
+      }
+      raw = fs.readFileSync(file, 'utf8');
+    }
+    
+    assignArgument(result, schema, key, raw, subject);
+  }
+  
+  const missing = (schema.required || []).filter(name => !(name in result));
+  if (missing.length > 0) {
+    throw new Error(`Missing required parameter(s) for ${subject}: ${missing.join(', ')}`);
+  }
+  
+  if (schema.type === 'object' || schema.properties) {
+    const validator = new AjvJsonSchemaValidator().getValidator(schema);
+    const validation = validator(result);
+    if (!validation.valid) {
+      throw new Error(`Invalid arguments for ${subject}: ${validation.errorMessage}`);
+    }
+  }
+  
+  return result;
+}
+
+function assignArgument(target, schema, key, raw, subject) {
+  // A literal property name wins over dotted nesting (e.g. a property named "a.b")
+  const segments = schema.properties && key in schema.properties ? [key] : key.split('.');
+  let container = target;
+  let containerSchema = schema;
+  
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    const keyPath = segments.slice(0, i + 1).join('.');
+    const propSchema = lookupProperty(containerSchema, segment);
+    
+    if (propSchema === undefined) {
+      const known = Object.keys(containerSchema.properties || {});
+      const hint = known.length > 0 ? ` (expected one of: ${known.join(', ')})` : '';
+      throw new Error(`Unknown parameter '${keyPath}' for ${subject}${hint}`);
+    }
+    
+    if (i < segments.length - 1) {
+      if (container[segment] === undefined) {
+        container[segment] = {};
+      } else if (typeof container[segment] !== 'object' || Array.isArray(container[segment])) {
+        throw new Error(`Parameter '${keyPath}' is not an object`);
+      }
+      container = container[segment];
+      containerSchema = propSchema;
+      continue;
+    }
+    
+    const value = coerceValue(raw, propSchema, keyPath);
+    if (container[segment] === undefined) {
+      container[segment] = value;
+    } else if (schemaTypes(propSchema).includes('array')) {
+      // Repeated keys accumulate into the array
+      container[segment] = container[segment].concat(value);
+    } else {
+      throw new Error(`Parameter '${keyPath}' given more than once`);
+    }
+  }
+}
+
+function lookupProperty(schema, name) {
+  if (schema.properties && name in schema.properties) {
+    return schema.properties[name];
+  }
+  if (schema.properties && schema.additionalProperties !== true && typeof schema.additionalProperties !== 'object') {
+    return undefined;
+  }
+  // Free-form object: anything goes, value is parsed leniently
+  return typeof schema.additionalProperties === 'object' ? schema.additionalProperties : {};
+}
+
+function schemaTypes(schema) {
+  if (Array.isArray(schema.type)) {
+    return schema.type;
+  }
+  if (schema.type) {
+    return [schema.type];
+  }
+  if (Array.isArray(schema.enum)) {
+    return [...new Set(schema.enum.map(v => (v === null ? 'null' : typeof v)))];
+  }
+  return [];
+}
+
+function coerceValue(raw, schema, keyPath) {
+  const variants = schema.anyOf || schema.oneOf;
+  if (variants) {
+    for (const variant of variants) {
+      try {
+        return coerceValue(raw, variant, keyPath);
+      } catch (e) {
+        // Try next variant
+      }
+    }
+    throw new Error(`Invalid value for '${keyPath}': ${JSON.stringify(raw)} does not match any allowed type`);
+  }
+  
+  const types = schemaTypes(schema);
+  if (types.length === 0) {
+    // No type information: keep the historical JSON-or-string behaviour
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      return raw;
+    }
+  }
+  
+  // Strings last so '42' becomes a number for ["number", "string"]
+  const ordered = [...types.filter(t => t !== 'string'), ...types.filter(t => t === 'string')];
+  for (const type of ordered) {
+    const value = coerceToType(raw, type, schema, keyPath);
+    if (value === undefined) {
+      continue;
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some(v => v === value)) {
+      throw new Error(`Invalid value for '${keyPath}': ${JSON.stringify(value)} (allowed: ${schema.enum.map(v => JSON.stringify(v)).join(', ')})`);
+    }
+    return value;
+  }
+  
+  throw new Error(`Invalid value for '${keyPath}': expected ${types.join(' or ')}, got ${JSON.stringify(raw)}`);
+}
+
+function coerceToType(raw, type, schema, keyPath) {
+  const trimmed = raw.trim();
+  
+  switch (type) {
+    case 'string':
+      return raw;
+    case 'integer':
+      return /^-?\d+$/.test(trimmed) ? Number(trimmed) : undefined;
+    case 'number':
+      return trimmed !== '' && Number.isFinite(Number(trimmed)) ? Number(trimmed) : undefined;
+    case 'boolean':
+      if (trimmed === 'true') return true;
+      if (trimmed === 'false') return false;
+      return undefined;
+    case 'null':
+      return trimmed === 'null' ? null : undefined;
+    case 'object': {
+      const parsed = tryParseJson(trimmed);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : undefined;
+    }
+    case 'array': {
+      if (trimmed.startsWith('[')) {
+        const parsed = tryParseJson(trimmed);
+        if (Array.isArray(parsed)) {
+          return parsed;
+        }
+      }
+      // A single element; repeated keys append more
+      return [coerceValue(raw, schema.items || {}, `${keyPath}[]`)];
+    }
+    default:
+      return undefined;
+  }
+}
+
+// ============ Interactive Shell ============
+
+const SHELL_BUILTINS = ['call', 'tools', 'describe', 'status', 'format', 'help', 'exit', 'quit'];
+
+const SHELL_HISTORY_SIZE = 1000;
+
+async function runShell(client, options = {}) {
+  const { config, sessionName } = client;
+  const state = { format: options.format || 'auto', tools: [], activeCall: null };
+  
+  const refreshTools = async () => {
+    const parsed = await client.listTools();
+    if (!Array.isArray(parsed.tools)) {
+      throw new Error(parsed.error || 'Invalid tools response');
+    }
+    state.tools = parsed.tools;
+    return parsed;
+  };
+  
+  await refreshTools();
+  
+  const historyFile = getShellHistoryFile(config, sessionName);
+  // readline keeps history newest-first; the file is oldest-first like shell history files
+  const history = fs.existsSync(historyFile)
+    ? fs.readFileSync(historyFile, 'utf8').split('\n').filter(Boolean).reverse().slice(0, SHELL_HISTORY_SIZE)
+    : [];
+  
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: `${config.name}:${sessionName}> `,
+    history,
+    historySize: SHELL_HISTORY_SIZE,
+    removeHistoryDuplicates: true,
+    completer: (line) => completeShellLine(line, state.tools)
+  });
+  
+  rl.on('history', (lines) => {
+    fs.writeFileSync(historyFile, [...lines].reverse().join('\n') + '\n', { mode: 0o600 });
+  });
+  
+  rl.on('SIGINT', () => {
+    if (state.activeCall) {
+      // Aborting the request closes the connection; the daemon cancels the call on the server
+      state.activeCall.abort();
+      return;
+    }
+    if (rl.line) {
+      rl.write(null, { ctrl: true, name: 'u' });
+      process.stdout.write('\n');
+      rl.prompt();
+      return;
+    }
+    rl.close();
+  });
+  
+  console.log(`Connected to ${config.name} (session: ${sessionName}, ${state.tools.length} tools). Type 'help' for commands.`);
+  rl.prompt();
+  
+  for await (const line of rl) {
+    let words;
+    try {
+      words = splitCommandLine(line);
+    } catch (e) {
+      console.error('Error:', e.message);
+      rl.prompt();
+      continue;
+    }
+    
+    if (words.length === 0) {
+      rl.prompt();
+      continue;
+    }
+    
+    const [command, ...rest] = words;
+    try {
+      switch (command) {
+        case 'exit':
+        case 'quit':
+          rl.close();
+          return;
+        case 'help':
+          printShellHelp();
+          break;
+        case 'tools':
+          console.log(state.format === 'json' ? JSON.stringify(await refreshTools(), null, 2) : formatToolsAuto(await refreshTools()));
+          break;
+        case 'describe': {
+          const tool = findShellTool(state.tools, rest[0]);
+          console.log(state.format === 'json' ? JSON.stringify(tool, null, 2) : formatToolDescription(tool));
+          break;
+        }
+        case 'status': {
+          const status = await client.status();
+          console.log(state.format === 'json' ? JSON.stringify(status, null, 2) : formatShellStatus(status));
+          break;
+        }
+        case 'format':
+          if (!OUTPUT_FORMATS.includes(rest[0])) {
+            console.error(`Usage: format <${OUTPUT_FORMATS.join('|')}>`);
+            break;
+          }
+          state.format = rest[0];
+          console.log(`Output format: ${state.format}`);
+          break;
+        case 'call':
+          await shellCallTool(rest[0], rest.slice(1));
+          break;
+        default:
+          // Bare tool names are shorthand for `call <tool>`
+          await shellCallTool(command, rest);
+      }
+    } catch (e) {
+      console.error('Error:', e.message);
+    }
+    rl.prompt();
+  }
+  
+  async function shellCallTool(toolName, kvArgs) {
+    const tool = findShellTool(state.tools, toolName);
+    const toolArguments = parseToolArguments(kvArgs, tool);
+    const controller = new AbortController();
+    state.activeCall = controller;
+    
+    const send = (confirmed) => client.callTool(tool.name, toolArguments, {
+      confirmed,
+      onProgress: printCallEvent,
+      onLog: printCallEvent,
+      onRequest: createRequestHandler(client, (question) => new Promise(resolve => rl.question(question, resolve))),
+      signal: controller.signal
+    });
+    
+    try {
+      let result;
+      try {
+        result = await send(false);
+      } catch (e) {
+        if (e.code !== 'confirmation_required') {
+          throw e;
+        }
+        const answer = await new Promise(resolve => rl.question(`Call ${tool.name} ${JSON.stringify(toolArguments)}? [y/N] `, resolve));
+        if (!/^y(es)?$/i.test(answer.trim())) {
+          throw new Error('Not confirmed');
+        }
+        result = await send(true);
+      }
+      
+      console.log(formatCallResult(result, state.format, config, sessionName, options.outputDir));
+      const outputError = validateToolOutput(tool, result);
+      if (outputError) {
+        console.error(`Error: ${outputError}`);
+      }
+    } catch (e) {
+      if (controller.signal.aborted) {
+        throw new Error('Cancelled');
+      }
+      throw e;
+    } finally {
+      state.activeCall = null;
+    }
+  }
+}
+
+function printShellHelp() {
+  console.log(`Commands:
+  <tool> [key=value...]       Call a tool (same as: call <tool> ...)
+  call <tool> [key=value...]  Call a tool
+  tools                       List tools (refreshes completion)
+  describe <tool>             Show a tool's parameters
+  status                      Show daemon status
+  format <format>             Switch output format (auto, json, text,
+                              markdown, yaml, ndjson)
+  help                        Show this help
+  exit, quit                  Leave the shell (Ctrl-D)
+
+Tab completes commands, tool names and parameter names. Ctrl-C cancels a running call.`);
+}
+
+function findShellTool(tools, name) {
+  if (!name) {
+    throw new Error('Tool name required');
+  }
+  const tool = tools.find(t => t.name === name);
+  if (!tool) {
+    throw new Error(`Unknown tool '${name}'. Run 'tools' to refresh the list.`);
+  }
+  return tool;
+}
+
+const TOOL_HINTS = { readOnlyHint: 'read-only', destructiveHint: 'destructive', idempotentHint: 'idempotent', openWorldHint: 'open-world' };
+
+// Help text for `describe`: parameters (nested objects as dotted names), output schema,
+// annotations and an example `call` line starting with `callPrefix`
+function formatToolDescription(tool, callPrefix = 'call') {
+  const title = tool.title || tool.annotations?.title;
+  const lines = [title && title !== tool.name ? `${tool.name} - ${title}` : tool.name];
+  if (tool.description) {
+    lines.push(`  ${tool.description.trim().replace(/\n/g, '\n  ')}`);
+  }
+  
+  const hints = Object.entries(TOOL_HINTS)
+    .filter(([key]) => typeof tool.annotations?.[key] === 'boolean')
+    .map(([key, label]) => (tool.annotations[key] ? label : `not ${label}`));
+  if (hints.length > 0) {
+    lines.push('', `Annotations: ${hints.join(', ')}`);
+  }
+  
+  if (Object.keys(tool.inputSchema?.properties || {}).length > 0) {
+    lines.push('', 'Parameters:', ...formatSchemaProperties(tool.inputSchema));
+  }
+  if (Object.keys(tool.outputSchema?.properties || {}).length > 0) {
+    lines.push('', 'Output (structuredContent):', ...formatSchemaProperties(tool.outputSchema));
+  }
+  
+  lines.push('', 'Example:', `  ${[callPrefix, tool.name, ...exampleArguments(tool.inputSchema || {})].join(' ')}`);
+  return lines.join('\n');
+}
+
+function formatSchemaProperties(schema, prefix = '', indent = '  ') {
+  const required = new Set(schema.required || []);
+  const lines = [];
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const label = `${indent}${prefix}${name}${required.has(name) ? ' (required)' : ''}`;
+    const type = describeSchemaType(property).replace(/\\\|/g, '|');
+    const details = [
+      property.description?.replace(/\s+/g, ' ').trim(),
+      property.default !== undefined ? `[default: ${JSON.stringify(property.default)}]` : null
+    ].filter(Boolean).join(' ');
+    lines.push(`${label.padEnd(30)} ${type.padEnd(12)} ${details}`.trimEnd());
+    
+    if (property.properties) {
+      lines.push(...formatSchemaProperties(property, `${prefix}${name}.`, `${indent}  `));
+    } else if (property.items?.properties) {
+      lines.push(...formatSchemaProperties(property.items, `${prefix}${name}[].`, `${indent}  `));
+    }
+  }
+  return lines;
+}
+
+// key=value pairs for the required parameters, descending into required nested objects
+function exampleArguments(schema, prefix = '') {
+  const properties = schema.properties || {};
+  return (schema.required || [])
+    .filter(name => properties[name])
+    .flatMap(name => (properties[name].properties && properties[name].required?.length > 0
+      ? exampleArguments(properties[name], `${prefix}${name}.`)
+      : [`${prefix}${name}=${exampleValue(name, properties[name])}`]));
+}
+
+function formatShellStatus(status) {
+  const lines = [`Server: ${status.server}`, `State: ${status.state}`, `Restarts: ${status.restartCount}`];
+  if (status.lastError) {
+    lines.push(`Last error: ${status.lastError}`);
+  }
+  for (const [id, server] of Object.entries(status.servers || {})) {
+    lines.push(`  ${id}: ${formatServerState(server)}`);
+  }
+  return lines.join('\n');
+}
+
+function completeShellLine(line, tools) {
+  // Complete the word under the cursor (readline passes the text before it)
+  const words = line.split(/\s+/);
+  const current = words[words.length - 1];
+  const previous = words.slice(0, -1).filter(Boolean);
+  const toolNames = tools.map(t => t.name);
+  
+  const matches = (candidates) => {
+    const hits = candidates.filter(c => c.startsWith(current));
+    return [hits.length > 0 ? hits : [], current];
+  };
+  
+  if (previous.length === 0) {
+    return matches([...SHELL_BUILTINS, ...toolNames]);
+  }
+  
+  if (previous[0] === 'format' && previous.length === 1) {
+    return matches(OUTPUT_FORMATS);
+  }
+  if ((previous[0] === 'describe' || previous[0] === 'call') && previous.length === 1) {
+    return matches(toolNames);
+  }
+  
+  const toolName = previous[0] === 'call' ? previous[1] : previous[0];
+  const tool = tools.find(t => t.name === toolName);
+  if (!tool) {
+    return [[], current];
+  }
+  
+  const properties = tool.inputSchema?.properties || {};
+  const eqIndex = current.indexOf('=');
+  if (eqIndex > 0) {
+    // key=<tab> completes enum and boolean values
+    const key = current.substring(0, eqIndex);
+    const schema = properties[key] || {};
+    const values = Array.isArray(schema.enum)
+      ? schema.enum.map(String)
+      : schema.type === 'boolean' ? ['true', 'false'] : [];
+    return matches(values.map(v => `${key}=${v}`));
+  }
+  
+  const used = new Set(previous.map(word => word.split('=')[0]));
+  return matches(Object.keys(properties).filter(name => !used.has(name)).map(name => `${name}=`));
+}
+
+/**
+ * Split a command line into words, honouring single quotes, double quotes and
+ * backslash escapes like a POSIX shell (without expansions).
+ */
+function splitCommandLine(line) {
+  const words = [];
+  let word = '';
+  let inWord = false;
+  let quote = null;
+  
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote === "'") {
+      if (ch === "'") {
+        quote = null;
+      } else {
+        word += ch;
+      }
+    } else if (quote === '"') {
+      if (ch === '"') {
+        quote = null;
+      } else if (ch === '\\' && i + 1 < line.length && '"\\$`'.includes(line[i + 1])) {
+        word += line[++i];
+      } else {
+        word += ch;
+      }
+    } else if (ch === "'" || ch === '"') {
+      quote = ch;
+      inWord = true;
+    } else if (ch === '\\' && i + 1 < line.length) {
+      word += line[++i];
+      inWord = true;
+    } else if (/\s/.test(ch)) {
+      if (inWord) {
+        words.push(word);
+        word = '';
+        inWord = false;
+      }
+    } else {
+      word += ch;
+      inWord = true;
+    }
+  }
+  
+  if (quote) {
+    throw new Error(`Unterminated ${quote} quote`);
+  }
+  if (inWord) {
+    words.push(word);
+  }
+  return words;
+}
+
+// ============ Shell Completion ============
+
+const CLI_COMMANDS = [
+  'start', 'stop', 'restart', 'status', 'tools', 'describe', 'call', 'resources', 'resource-templates', 'read', 'watch',
+  'prompts', 'prompt', 'complete', 'run', 'shell', 'calls', 'cancel', 'pending', 'respond', 'roots',
+  'history', 'replay', 'generate-skill', 'config', 'auth', 'sessions', 'completion'
+];
+
+const CLI_OPTIONS = [
+  '--config', '--session', '--format', '--select', '--output', '--output-dir', '--skill-dir', '--check', '--snapshot', '--diff',
+  '--no-validate', '--timeout', '--quiet', '--keep-going', '--yes', '--tool', '--status', '--since', '--until',
+  '--limit', '--from', '--log-level', '--tcp', '--record', '--idle-timeout', '--max-lifetime',
+  '--wait', '--all'
+];
+
+// Options followed by a value; those without a list here complete file names
+const CLI_OPTION_VALUES = {
+  '--format': OUTPUT_FORMATS,
+  '--log-level': ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'],
+  '--status': ['ok', 'error', 'timeout', 'cancelled'],
+  '--config': [], '--session': [], '--select': [], '--output': [], '--output-dir': [], '--skill-dir': [], '--diff': [], '--timeout': [],
+  '--tool': [], '--since': [], '--until': [], '--limit': [], '--from': [], '--record': [],
+  '--idle-timeout': [], '--max-lifetime': [], '--wait': []
+};
+
+const SUBCOMMANDS = {
+  completion: ['bash', 'zsh', 'fish'],
+  config: ['check'],
+  auth: ['login', 'logout', 'status'],
+  roots: ['add', 'remove']
+};
+
+/**
+ * Candidates for the last word of `line` (the command line up to the cursor),
+ * one per line for the completion scripts. Sessions come from sessions.json,
+ * tool and parameter names from the running daemon; `defaults` holds the
+ * --config/--session a wrapper script passed to `__complete` itself.
+ */
+async function completeCommandLine(line, defaults) {
+  let words;
+  try {
+    words = splitCommandLine(line).slice(1);
+  } catch (e) {
+    return [];
+  }
+  const current = /\s$/.test(line) ? '' : (words.pop() ?? '');
+  const previous = words[words.length - 1];
+  const matching = (candidates) => candidates.filter(candidate => candidate.startsWith(current));
+  
+  if (current.startsWith('-')) {
+    return matching(CLI_OPTIONS);
+  }
+  
+  const parsed = parseArgs(words);
+  const configPath = parsed.config || defaults.configPath;
+  const session = parsed.session || defaults.session;
+  
+  const loadTools = async () => {
+    const config = loadConfigFile(configPath);
+    return session ? (await new SkillClient({ config, session }).listTools()).tools : [];
+  };
+  
+  try {
+    if (previous === '--session') {
+      return matching(Object.keys(loadSessions(loadConfigFile(configPath))));
+    }
+    if (previous === '--tool') {
+      return matching((await loadTools()).map(tool => tool.name));
+    }
+    if (previous in CLI_OPTION_VALUES) {
+      return matching(CLI_OPTION_VALUES[previous]);
+    }
+    
+    const { command, toolArgs } = parsed;
+    if (!command) {
+      return matching(CLI_COMMANDS);
+    }
+    if (SUBCOMMANDS[command] && toolArgs.length === 0) {
+      return matching(SUBCOMMANDS[command]);
+    }
+    if ((command === 'call' || command === 'describe') && toolArgs.length === 0) {
+      return matching((await loadTools()).map(tool => tool.name));
+    }
+    if (command === 'call') {
+      // Parameter names and enum values, as in the interactive shell
+      return completeShellLine(['call', ...toolArgs, current].join(' '), await loadTools())[0];
+    }
+  } catch (e) {
+    // No config or no running daemon: nothing to offer
+  }
+  return [];
+}
+
+function printCompletionScript(shell, names) {
+  const functionName = '_mcp_skill_client';
+  switch (shell) {
+    case 'bash':
+      console.log(`# mcp-skill-client completion for bash. Add to ~/.bashrc:
+#   source <(mcp-skill-client completion bash)
+${functionName}() {
+  local line="\${COMP_LINE:0:COMP_POINT}"
+  local word="\${line##*[[:space:]]}"
+  local cur="\${COMP_WORDS[COMP_CWORD]}"
+  local IFS=$'\\n'
+  local candidates=($("$1" __complete "$line" 2>/dev/null))
+  # bash splits words at = and :, so only replace the part it considers the current word
+  local prefix="\${word%"$cur"}"
+  COMPREPLY=("\${candidates[@]#"$prefix"}")
+  if [[ \${#COMPREPLY[@]} -eq 1 && \${COMPREPLY[0]} == *= ]]; then
+    compopt -o nospace
+  fi
+}
+${names.map(name => `complete -o default -F ${functionName} ${name}`).join('\n')}`);
+      return;
+    case 'zsh':
+      console.log(`#compdef ${names.join(' ')}
+# mcp-skill-client completion for zsh. Add to ~/.zshrc after compinit:
+#   source <(mcp-skill-client completion zsh)
+${functionName}() {
+  local -a candidates
+  candidates=("\${(@f)$(\${(Q)words[1]} __complete "\${(j: :)words[1,CURRENT-1]} \${words[CURRENT]}" 2>/dev/null)}")
+  candidates=(\${candidates:#})
+  if (( \${#candidates} == 0 )); then
+    _files
+    return
+  fi
+  # key= keeps the cursor after the =
+  compadd -S '' -- \${(M)candidates:#*=}
+  compadd -- \${candidates:#*=}
+}
+compdef ${functionName} ${names.join(' ')}`);
+      return;
+    case 'fish':
+      console.log(`# mcp-skill-client completion for fish:
+#   mcp-skill-client completion fish > ~/.config/fish/completions/mcp-skill-client.fish
+function __mcp_skill_client_complete
+    set -l cmd (commandline -opc)[1]
+    set -l candidates ($cmd __complete (commandline -cp) 2>/dev/null)
+    if test (count $candidates) -eq 0
+        __fish_complete_path (commandline -ct)
+        return
+    end
+    printf '%s\\n' $candidates
+end
+${names.map(name => `complete -c ${name} -f -a '(__mcp_skill_client_complete)'`).join('\n')}`);
+      return;
+    default:
+      console.error('Usage: mcp-skill-client completion bash|zsh|fish [command-name...]');
+      process.exit(1);
+  }
+}
+
+// ============ Scripts ============
+
+/**
+ * Load run steps from a script file. `.yaml`/`.yml` files hold a list of steps
+ * (or `{ steps: [...] }`), `.json` an array, anything else JSONL with one step
+ * per line. `-` reads JSONL from stdin.
+ */
+function loadScript(scriptPath) {
+  let text;
+  if (scriptPath === '-') {
+    text = fs.readFileSync(0, 'utf8');
+  } else {
+    const absPath = path.resolve(scriptPath);
+    if (!fs.existsSync(absPath)) {
+      throw new Error(`Script not found: ${absPath}`);
+    }
+    text = fs.readFileSync(absPath, 'utf8');
+  }
+  
+  const ext = path.extname(scriptPath).toLowerCase();
+  let steps;
+  if (ext === '.yaml' || ext === '.yml') {
+    const doc = YAML.parse(text);
+    steps = Array.isArray(doc) ? doc : doc?.steps;
+  } else if (ext === '.json') {
+    const doc = JSON.parse(text);
+    steps = Array.isArray(doc) ? doc : doc?.steps;
+  } else {
+    steps = [];
+    text.split('\n').forEach((line, index) => {
+      if (!line.trim() || line.trim().startsWith('#')) {
+        return;
+      }
+      try {
+        steps.push(JSON.parse(line));
+      } catch (e) {
+        throw new Error(`${scriptPath}:${index + 1}: ${e.message}`);
+      }
+    });
+  }
+  
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error(`${scriptPath}: no steps found`);
+  }
+  steps.forEach((step, index) => {
+    if (!step || typeof step.tool !== 'string') {
+      throw new Error(`${scriptPath}: step ${index + 1} has no "tool"`);
+    }
+  });
+  return steps;
+}
+
+function formatRunReportAuto(report, config, sessionName, outputDir) {
+  const output = [];
+  const total = report.steps.length;
+  
+  report.steps.forEach((step, index) => {
+    const label = `[${index + 1}/${total}] ${step.tool}`;
+    if (step.status === 'skipped') {
+      output.push(`${label} skipped`, '');
+      return;
+    }
+    output.push(`${label} ${step.status} (${step.durationMs}ms)`);
+    if (step.result) {
+      output.push(formatCallResultAuto(step.result, config, sessionName, outputDir));
+    } else if (step.error) {
+      output.push(`[Error] ${step.error}`);
+    }
+    output.push('');
+  });
+  
+  const count = (status) => report.steps.filter(step => step.status === status).length;
+  output.push(`${count('ok')} of ${total} steps succeeded (${count('error')} failed, ${count('skipped')} skipped)`);
+  return output.join('\n');
+}
+
+// ============ Call History ============
+
+async function showHistory(client, toolArgs, options = {}) {
+  const { format = 'auto', ...filters } = options;
+  
+  const entries = await client.history({ range: toolArgs[0], ...filters });
+  
+  if (format === 'json') {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+  if (entries.length === 0) {
+    console.log('No calls recorded');
+    return;
+  }
+  console.log(entries.map(formatHistoryEntry).join('\n'));
+}
+
+function formatHistoryEntry(entry) {
+  const lines = [`${String(entry.seq).padEnd(6)} ${entry.time} ${entry.tool} ${entry.status} (${entry.durationMs}ms)`];
+  const args = JSON.stringify(entry.arguments);
+  if (args !== '{}') {
+    lines.push(`       args: ${args.length > HISTORY_SUMMARY_LENGTH ? `${args.slice(0, HISTORY_SUMMARY_LENGTH)}...` : args}`);
+  }
+  if (entry.error) {
+    lines.push(`       [Error] ${entry.error}`);
+  } else if (entry.summary) {
+    lines.push(`       -> ${entry.summary}`);
+  }
+  if (entry.output) {
+    lines.push(`       output: ${entry.output}`);
+  }
+  return lines.join('\n');
+}
+
+async function replayHistory(client, toolArgs, options = {}) {
+  const { from, keepGoing, tool, status, since, until, limit } = options;
+  
+  if (!from) {
+    console.error('Usage: mcp-skill-client --config <config> --session <target> replay [range] --from <session> [--keep-going]');
+    process.exit(1);
+  }
+  
+  const filters = { range: toolArgs[0], tool, status, since, until, limit };
+  const entries = await new SkillClient({ config: client.config, session: from }).history(filters);
+  if (entries.length > 0 && !entries.some(entry => entry.redacted)) {
+    console.error(`Replaying ${entries.length} call(s) from session '${from}'`);
+  }
+  await printRunReport(client, (confirmed) => client.replay(from, { ...filters, keepGoing, confirmed }), options);
+}
+
+// ============ Skill Generation ============
+
+const SKILL_ASSETS_DIR = path.join(__dirname, 'skills', 'mcp-skill-creator', 'assets');
+
+const TOOLS_START_MARKER = '<!-- generated:tools:start -->';
+
+const TOOLS_END_MARKER = '<!-- generated:tools:end -->';
+
+async function generateSkill(client, skillDir, check) {
+  const config = client.config;
+  const status = await client.status();
+  const { tools } = await client.listTools();
+  if (!Array.isArray(tools)) {
+    throw new Error('Invalid tools response');
+  }
+  
+  const dir = path.resolve(skillDir || config._configDir);
+  const skillFile = path.join(dir, 'SKILL.md');
+  const toolDocs = renderToolDocumentation(tools);
+  const existing = fs.existsSync(skillFile) ? fs.readFileSync(skillFile, 'utf8') : null;
+  
+  if (check) {
+    const current = existing !== null ? extractToolDocumentation(existing) : null;
+    if (current === null) {
+      console.error(`${skillFile}: no generated tool section found. Run generate-skill first.`);
+      process.exit(1);
+    }
+    if (current !== toolDocs) {
+      const documented = new Set([...current.matchAll(/^### (\S+)$/gm)].map(m => m[1]));
+      const live = new Set(tools.map(t => t.name));
+      const added = [...live].filter(name => !documented.has(name));
+      const removed = [...documented].filter(name => !live.has(name));
+      console.error(`${skillFile} is out of date with server '${config.name}'.`);
+      if (added.length > 0) console.error(`  Added tools: ${added.join(', ')}`);
+      if (removed.length > 0) console.error(`  Removed tools: ${removed.join(', ')}`);
+      if (added.length === 0 && removed.length === 0) console.error('  Tool descriptions or parameters changed.');
+      console.error('Run generate-skill to update it.');
+      process.exit(1);
+    }
+    console.log(`${skillFile} is up to date (${tools.length} tools)`);
+    return;
+  }
+  
+  fs.mkdirSync(path.join(dir, 'scripts'), { recursive: true });
+  
+  // Only the generated section is replaced, so hand-written parts of SKILL.md survive
+  if (existing !== null && extractToolDocumentation(existing) !== null) {
+    fs.writeFileSync(skillFile, replaceToolDocumentation(existing, toolDocs));
+    console.log(`Updated: ${skillFile}`);
+  } else if (existing !== null) {
+    console.error(`${skillFile} exists without a generated tool section; not overwriting.`);
+    console.error(`Add ${TOOLS_START_MARKER} and ${TOOLS_END_MARKER} lines where tools should go.`);
+    process.exit(1);
+  } else {
+    fs.writeFileSync(skillFile, renderSkillMarkdown(config, status, toolDocs));
+    console.log(`Created: ${skillFile}`);
+  }
+  
+  const scriptFile = path.join(dir, 'scripts', 'mcp');
+  if (fs.existsSync(scriptFile)) {
+    console.log(`Exists, skipped: ${scriptFile}`);
+  } else {
+    fs.copyFileSync(path.join(SKILL_ASSETS_DIR, 'mcp.sh'), scriptFile);
+    fs.chmodSync(scriptFile, 0o755);
+    console.log(`Created: ${scriptFile}`);
+  }
+  
+  const configFile = path.join(dir, 'config.json');
+  if (fs.existsSync(configFile)) {
+    console.log(`Exists, skipped: ${configFile}`);
+  } else {
+    fs.writeFileSync(configFile, renderSkillConfig(config._source || config));
+    console.log(`Created: ${configFile}`);
+  }
+}
+
+function renderSkillMarkdown(config, status, toolDocs) {
+  const template = fs.readFileSync(path.join(SKILL_ASSETS_DIR, 'SKILL.md.template'), 'utf8');
+  const serverTitle = status.serverInfo?.title || status.serverInfo?.name || config.name;
+  const title = config.name
+    .split(/[-_\s]+/)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+  const description = config.description ||
+    `Tools from the ${serverTitle} MCP server via mcp-skill-client. Use when a task needs ${config.name} capabilities.`;
+  const overview = status.instructions || `Persistent ${serverTitle} session via MCP.`;
+  
+  // Replacer functions keep '$' in tool docs (e.g. $SKILL_DIR) from being treated as patterns
+  return template
+    .replace('SKILL_NAME', () => config.name)
+    .replace('SKILL_DESCRIPTION', () => description.replace(/\s+/g, ' ').trim())
+    .replace('SKILL_TITLE', () => title)
+    .replace('SKILL_OVERVIEW', () => overview.trim())
+    .replace('TOOL_DOCUMENTATION', () => toolDocs);
+}
+
+function renderSkillConfig(config) {
+  const template = JSON.parse(fs.readFileSync(path.join(SKILL_ASSETS_DIR, 'config.json'), 'utf8'));
+  const result = {};
+  // Keep the template's key order, then any extra keys from the live config
+  for (const key of Object.keys(template)) {
+    if (config[key] !== undefined) {
+      result[key] = config[key];
+    }
+  }
+  for (const [key, value] of Object.entries(config)) {
+    if (!key.startsWith('_') && !(key in result)) {
+      result[key] = value;
+    }
+  }
+  return JSON.stringify(result, null, 2) + '\n';
+}
+
+function renderToolDocumentation(tools) {
+  const sections = tools.map(renderToolSection);
+  return `${TOOLS_START_MARKER}\n\n${sections.join('\n\n')}\n\n${TOOLS_END_MARKER}`;
+}
+
+function renderToolSection(tool) {
+  const lines = [`### ${tool.name}`];
+  if (tool.description) {
+    lines.push(tool.description.trim());
+  }
+  
+  const properties = tool.inputSchema?.properties || {};
+  const required = new Set(tool.inputSchema?.required || []);
+  
+  if (Object.keys(properties).length > 0) {
+    lines.push('', '| Parameter | Type | Required | Description |', '|-----------|------|----------|-------------|');
+    for (const [name, schema] of Object.entries(properties)) {
+      const desc = (schema.description || '').replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim();
+      lines.push(`| ${name} | ${describeSchemaType(schema)} | ${required.has(name) ? 'yes' : 'no'} | ${desc} |`);
+    }
+  }
+  
+  const example = [...required]
+    .filter(name => properties[name])
+    .map(name => `${name}=${exampleValue(name, properties[name])}`);
+  
+  lines.push('', '```bash', ['$SKILL_DIR/scripts/mcp call', tool.name, ...example].join(' '), '```');
+  return lines.join('\n');
+}
+
+function describeSchemaType(schema) {
+  if (Array.isArray(schema.enum)) {
+    return schema.enum.map(v => JSON.stringify(v)).join(' \\| ');
+  }
+  const type = Array.isArray(schema.type) ? schema.type.join(' \\| ') : schema.type;
+  if (type === 'array' && schema.items?.type) {
+    return `${schema.items.type}[]`;
+  }
+  return type || 'any';
+}
+
+function exampleValue(name, schema) {
+  let value;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    value = schema.enum[0];
+  } else if (schema.default !== undefined) {
+    value = schema.default;
+  } else if (Array.isArray(schema.examples) && schema.examples.length > 0) {
+    value = schema.examples[0];
+  } else {
+    switch (Array.isArray(schema.type) ? schema.type[0] : schema.type) {
+      case 'number':
+      case 'integer': value = 1; break;
+      case 'boolean': value = true; break;
+      case 'array': value = []; break;
+      case 'object': value = {}; break;
+      default: value = `<${name}>`;
+    }
+  }
+  
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  // Quote anything the shell would otherwise split or interpret
+  return /^[\w.:\/@%+,-]+$/.test(text) ? text : `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+function extractToolDocumentation(markdown) {
+  const start = markdown.indexOf(TOOLS_START_MARKER);
+  const end = markdown.indexOf(TOOLS_END_MARKER);
+  if (start === -1 || end === -1 || end < start) {
+    return null;
+  }
+  return markdown.substring(start, end + TOOLS_END_MARKER.length);
+}
+
+function replaceToolDocumentation(markdown, toolDocs) {
+  const current = extractToolDocumentation(markdown);
+  return markdown.replace(current, () => toolDocs);
+}
+
+// ============ Utilities ============
+
+// Read one line from the terminal; Ctrl-C interrupts the command as usual
+async function terminalQuestion(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  rl.on('SIGINT', () => process.kill(process.pid, 'SIGINT'));
+  const answer = await new Promise(resolve => rl.question(question, resolve));
+  rl.close();
+  return answer;
+}
+
+// Ask a yes/no question on the terminal; false when there is no terminal to ask
+async function confirmOnTerminal(question) {
+  if (!process.stdin.isTTY || !process.stderr.isTTY) {
+    return false;
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const answer = await new Promise(resolve => rl.question(`${question} [y/N] `, resolve));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+export { parseToolArguments, coerceValue };
+
+// Only run the CLI when executed directly, not when imported by the tests
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === __filename) {
+  main().catch(e => {
+    console.error(e);
+    process.exit(1);
+  });
+}
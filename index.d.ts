@@ -0,0 +1,535 @@
+// Type declarations for the mcp-skill-client programmatic API (index.js).
+
+// ============ Config ============
+
+export type Duration = number | string;
+
+export type LogLevel = 'debug' | 'info' | 'notice' | 'warning' | 'error' | 'critical' | 'alert' | 'emergency';
+
+export interface AuthConfig {
+  type: 'bearer' | 'client_credentials' | 'oauth';
+  token?: string;
+  clientId?: string;
+  clientSecret?: string;
+  scope?: string;
+  callbackPort?: number;
+}
+
+export interface ServerConfig {
+  transport: 'stdio' | 'http' | 'sse' | 'replay';
+  command?: string;
+  args?: string[];
+  env?: Record<string, string>;
+  url?: string;
+  headers?: Record<string, string>;
+  auth?: AuthConfig;
+  fixture?: string;
+  match?: 'arguments' | 'tool';
+  ignoreArguments?: string[];
+  reconnect?: {
+    maxAttempts?: number;
+    backoff?: Duration;
+    maxBackoff?: Duration;
+    waitTimeout?: Duration;
+  };
+  elicitation?: { action?: 'ask' | 'decline' | 'cancel'; timeout?: Duration };
+  sampling?: { action?: 'ask' | 'decline' | 'command'; command?: string; args?: string[]; timeout?: Duration };
+  callTimeout?: Duration;
+  toolTimeouts?: Record<string, Duration>;
+  logLevel?: LogLevel;
+}
+
+export interface ArgumentRule {
+  allow?: string[];
+  deny?: string[];
+  domains?: string[];
+}
+
+/** A config as returned by loadConfig(): validated and interpolated. */
+export interface Config extends Partial<ServerConfig> {
+  name: string;
+  description?: string;
+  servers?: Record<string, ServerConfig>;
+  aliases?: Record<string, string>;
+  allowTools?: string[];
+  denyTools?: string[];
+  confirmTools?: string[];
+  argumentRules?: Record<string, Record<string, ArgumentRule>>;
+  envFile?: string | string[];
+  /** Directories for roots/list, relative to the config file; defaults to the daemon's cwd. */
+  roots?: (string | { path: string; name?: string })[];
+  idleTimeout?: Duration;
+  maxLifetime?: Duration;
+  /** How long start() waits for the server to connect (default 30s). */
+  startTimeout?: Duration;
+  daemonTcp?: boolean;
+  /** Absolute path of the config file; required by SkillClient#start(). */
+  _configPath?: string;
+  _configDir?: string;
+}
+
+/** Read and validate a config file; throws ConfigError listing every problem. */
+export function loadConfig(configPath: string): Config;
+
+/** Read and validate a config file, returning problems instead of throwing. */
+export function readConfig(configPath: string): { config: Config | null; errors: string[] };
+
+// ============ Results ============
+
+export interface SessionInfo {
+  pid: number;
+  /** Unix socket of the daemon; absent for TCP sessions. */
+  socket?: string;
+  /** Localhost port of the daemon; absent for Unix socket sessions. */
+  port?: number;
+  startedAt: string;
+}
+
+export interface SessionListEntry extends SessionInfo {
+  name: string;
+  running: boolean;
+  /** Options the session was started with; restart() reuses them. */
+  options?: Pick<StartOptions, 'tcp' | 'idleTimeout' | 'maxLifetime' | 'logLevel' | 'record'>;
+}
+
+export interface StartResult extends SessionInfo {
+  alreadyRunning: boolean;
+  logFile?: string;
+  /** Absolute fixture path when started with `record`. */
+  recording?: string | null;
+  /** Servers of a multi-server session that did not connect; the daemon keeps retrying them. */
+  unavailable?: Unavailable;
+}
+
+export interface RestartResult extends StartResult {
+  /** false when the session was not running before. */
+  restarted: boolean;
+}
+
+export interface StopResult {
+  pid: number;
+  /** false when the daemon process was already gone. */
+  stopped: boolean;
+  /** true when the daemon or its server processes had to be killed. */
+  forced: boolean;
+}
+
+export interface StopAllEntry extends Partial<StopResult> {
+  name: string;
+  /** Set when this session could not be stopped. */
+  error?: string;
+}
+
+/** `connecting` covers the first attempt and reconnects; `failed` means reconnecting gave up. */
+export type ConnectionState = 'connecting' | 'connected' | 'failed';
+
+/** Multi-server sessions are `degraded` while only some of their servers are connected. */
+export type SessionState = ConnectionState | 'degraded';
+
+export interface ServerStatus {
+  transport: string;
+  connected: boolean;
+  state: ConnectionState;
+  restartCount: number;
+  /** Exit code, or the signal name, of the last stdio server process that exited. */
+  lastExitCode?: number | string | null;
+  lastError?: string | null;
+  reconnectAttempts?: number;
+  serverInfo?: { name: string; version: string } | null;
+  instructions?: string | null;
+}
+
+export interface DaemonStatus extends Partial<Omit<ServerStatus, 'state'>> {
+  server: string;
+  state: SessionState;
+  /** Per-server state of multi-server sessions. */
+  servers?: Record<string, ServerStatus>;
+  recording?: string | null;
+  /** Elicitation and sampling requests waiting for respond(). */
+  pendingRequests?: number;
+  shutdown?: { at: number; reason: string } | null;
+  [key: string]: unknown;
+}
+
+export interface Tool {
+  name: string;
+  title?: string;
+  description?: string;
+  inputSchema: { type: 'object'; properties?: Record<string, unknown>; required?: string[]; [key: string]: unknown };
+  outputSchema?: Record<string, unknown>;
+  annotations?: Record<string, unknown>;
+  [key: string]: unknown;
+}
+
+/** Servers of a multi-server session that could not be reached. */
+export type Unavailable = { server: string; error: string }[];
+
+export interface ToolList {
+  tools: Tool[];
+  unavailable?: Unavailable;
+}
+
+/** Output of `tools --snapshot` / snapshotTools(). */
+export interface ToolSnapshot {
+  server: string;
+  createdAt: string;
+  /** Single-server sessions. */
+  serverInfo?: { name: string; version: string } | null;
+  /** Multi-server sessions: server id -> serverInfo. */
+  servers?: Record<string, { name: string; version: string } | null>;
+  /** Sorted by name. */
+  tools: Tool[];
+}
+
+export interface ToolDiff {
+  added: string[];
+  removed: string[];
+  /** Changed fields per tool, e.g. "description" or "inputSchema: +timeout, ~url, required +url". */
+  changed: { name: string; changes: string[] }[];
+  /** Servers whose reported version differs. */
+  versions: Record<string, { from: string | null; to: string | null }>;
+}
+
+/** Compare two tool snapshots (`tools --diff`). */
+export function diffToolSnapshots(before: ToolSnapshot, after: ToolSnapshot): ToolDiff;
+
+export type ContentItem =
+  | { type: 'text'; text: string }
+  | { type: 'image' | 'audio'; data: string; mimeType: string }
+  | { type: 'resource'; resource: ResourceContents }
+  | { type: 'resource_link'; uri: string; name?: string; mimeType?: string }
+  | { type: string; [key: string]: unknown };
+
+export interface CallToolResult {
+  content: ContentItem[];
+  structuredContent?: Record<string, unknown>;
+  isError?: boolean;
+  [key: string]: unknown;
+}
+
+/**
+ * Check a result's structuredContent against the tool's outputSchema (callTool()
+ * does not). Returns the mismatch as a message, or null.
+ */
+export function validateToolOutput(tool: Tool, result: CallToolResult): string | null;
+
+export interface ProgressEvent {
+  type: 'progress';
+  progress: number;
+  total?: number;
+  message?: string;
+}
+
+export interface LogEvent {
+  type: 'log';
+  level: LogLevel;
+  logger?: string;
+  data: unknown;
+}
+
+/** A server request (elicitation/create or sampling/createMessage) waiting for an answer. */
+export interface PendingRequest {
+  id: number;
+  kind: 'elicitation' | 'sampling';
+  /** Server id in multi-server sessions, else null. */
+  server: string | null;
+  createdAt: string;
+  /** The request params as sent by the server (message and requestedSchema or url; or messages). */
+  params: Record<string, unknown>;
+}
+
+export interface RequestEvent extends PendingRequest {
+  type: 'request';
+}
+
+export interface RequestAnswer {
+  action?: 'accept' | 'decline' | 'cancel';
+  /** Accepted form elicitation: values matching requestedSchema. */
+  content?: Record<string, unknown>;
+  /** Accepted sampling request: the reply text... */
+  text?: string;
+  /** ...or a full CreateMessageResult (role and model default to assistant and "user"). */
+  result?: Record<string, unknown>;
+}
+
+/** A directory advertised to servers through roots/list. */
+export interface Root {
+  /** file:// URI */
+  uri: string;
+  name?: string;
+}
+
+export interface ScriptStep {
+  tool: string;
+  arguments?: Record<string, unknown>;
+  /** Name later steps use to reference this step's result. */
+  saveAs?: string;
+  timeout?: Duration;
+}
+
+export interface StepReport {
+  tool: string;
+  saveAs?: string;
+  status: 'ok' | 'error' | 'skipped';
+  durationMs?: number;
+  result?: CallToolResult;
+  error?: string;
+}
+
+export interface RunReport {
+  ok: boolean;
+  steps: StepReport[];
+}
+
+export type CallStatus = 'ok' | 'error' | 'timeout' | 'cancelled';
+
+export interface HistoryEntry {
+  seq: number;
+  time: string;
+  tool: string;
+  arguments: Record<string, unknown>;
+  durationMs: number;
+  status: CallStatus;
+  isError: boolean;
+  /** Arguments had secrets masked, so the call cannot be replayed. */
+  redacted?: boolean;
+  error?: string;
+  summary?: string;
+  /** Absolute path of the file holding the full result. */
+  output?: string;
+}
+
+export interface HistoryFilter {
+  /** Call numbers, e.g. "5", "3-10", "12-", "-4" or "1,3-5". */
+  range?: string;
+  /** Glob pattern matched against the tool name. */
+  tool?: string;
+  /** One status or several separated by commas. */
+  status?: CallStatus | string;
+  /** ISO time or a duration ago, e.g. "1h". */
+  since?: string;
+  until?: string;
+  /** Keep only the last n entries. */
+  limit?: number | string;
+}
+
+export interface ActiveCall {
+  id: number;
+  tool: string;
+  arguments: Record<string, unknown>;
+  startedAt: string;
+  timeout?: number | null;
+}
+
+export interface ResourceContents {
+  uri: string;
+  mimeType?: string;
+  text?: string;
+  blob?: string;
+}
+
+export interface Resource {
+  uri: string;
+  name: string;
+  description?: string;
+  mimeType?: string;
+  [key: string]: unknown;
+}
+
+export interface ResourceTemplate {
+  uriTemplate: string;
+  name: string;
+  description?: string;
+  mimeType?: string;
+  [key: string]: unknown;
+}
+
+export interface Prompt {
+  name: string;
+  description?: string;
+  arguments?: { name: string; description?: string; required?: boolean }[];
+  [key: string]: unknown;
+}
+
+export interface PromptResult {
+  description?: string;
+  messages: { role: 'user' | 'assistant'; content: ContentItem }[];
+}
+
+export interface CompletionResult {
+  completion: { values: string[]; total?: number; hasMore?: boolean };
+}
+
+// ============ SkillClient ============
+
+export interface SkillClientOptions {
+  /** Path to config.json, or a config from loadConfig(). */
+  config: string | Config;
+  session: string;
+}
+
+export interface StartOptions {
+  /** Listen on a localhost TCP port instead of a Unix socket. */
+  tcp?: boolean;
+  idleTimeout?: Duration;
+  maxLifetime?: Duration;
+  /** Server log level for the session; overrides logLevel in config.json. */
+  logLevel?: LogLevel;
+  /** Record MCP traffic to this fixture file for the replay transport. */
+  record?: string;
+  /** How long to wait for the server to connect; overrides startTimeout. */
+  wait?: Duration;
+}
+
+export interface CallToolOptions {
+  timeout?: Duration;
+  /** Required for tools matched by confirmTools. */
+  confirmed?: boolean;
+  onProgress?: (event: ProgressEvent) => void;
+  onLog?: (event: LogEvent) => void;
+  /** Elicitation and sampling requests from the server; answer them with respond(). */
+  onRequest?: (event: RequestEvent) => void;
+  /** Aborting cancels the call on the server. */
+  signal?: AbortSignal;
+}
+
+export interface RunOptions {
+  keepGoing?: boolean;
+  confirmed?: boolean;
+}
+
+export class SkillClient {
+  constructor(options: SkillClientOptions);
+
+  readonly config: Config;
+  readonly sessionName: string;
+
+  static listSessions(config: string | Config): Promise<SessionListEntry[]>;
+  static stopAll(config: string | Config): Promise<StopAllEntry[]>;
+
+  start(options?: StartOptions): Promise<StartResult>;
+  /** Waits for the daemon to exit. Resolves to null when the session was not running. */
+  stop(): Promise<StopResult | null>;
+  /** Reuses the session's start options; `options` override them. */
+  restart(options?: StartOptions): Promise<RestartResult>;
+  status(): Promise<DaemonStatus>;
+
+  listTools(): Promise<ToolList>;
+  getTool(name: string): Promise<Tool>;
+  snapshotTools(): Promise<ToolSnapshot>;
+  callTool(name: string, args?: Record<string, unknown>, options?: CallToolOptions): Promise<CallToolResult>;
+  run(steps: ScriptStep[], options?: RunOptions): Promise<RunReport>;
+
+  history(filter?: HistoryFilter): Promise<HistoryEntry[]>;
+  /** Re-run calls from another session's history in this session. */
+  replay(fromSession: string, options?: HistoryFilter & RunOptions): Promise<RunReport>;
+
+  listCalls(): Promise<{ calls: ActiveCall[] }>;
+  listPending(): Promise<{ requests: PendingRequest[] }>;
+  /** Answer a pending request; `action` defaults to accept. */
+  respond(id: number | string, answer?: RequestAnswer): Promise<{ id: number; action: string }>;
+  cancelCall(id: number | string | 'all'): Promise<{ cancelled: Pick<ActiveCall, 'id' | 'tool'>[] }>;
+
+  listRoots(): Promise<{ roots: Root[] }>;
+  /** Relative paths resolve against process.cwd(). Servers get notifications/roots/list_changed. */
+  addRoot(path: string, options?: { name?: string }): Promise<{ roots: Root[] }>;
+  /** Accepts the path or the root's file:// URI. */
+  removeRoot(path: string): Promise<{ roots: Root[] }>;
+
+  listResources(): Promise<{ resources: Resource[]; unavailable?: Unavailable }>;
+  listResourceTemplates(): Promise<{ resourceTemplates: ResourceTemplate[]; unavailable?: Unavailable }>;
+  /** `variables` expand a URI template before reading. */
+  readResource(uri: string, variables?: Record<string, string | number>): Promise<{ contents: ResourceContents[] }>;
+  waitForResourceUpdate(uri: string, variables?: Record<string, string | number>): Promise<{ uri: string; updated: true }>;
+
+  listPrompts(): Promise<{ prompts: Prompt[]; unavailable?: Unavailable }>;
+  getPrompt(name: string, args?: Record<string, string>): Promise<PromptResult>;
+  /** Complete a prompt argument, or a resource template argument when `target` contains "://". */
+  complete(target: string, argument: string, value?: string, context?: Record<string, string>): Promise<CompletionResult>;
+}
+
+export function listSessions(config: string | Config): Promise<SessionListEntry[]>;
+export function stopAllSessions(config: string | Config): Promise<StopAllEntry[]>;
+
+// ============ Errors ============
+
+export type ErrorCode =
+  | 'invalid_argument'
+  | 'invalid_config'
+  | 'session_not_running'
+  | 'start_failed'
+  | 'stop_failed'
+  | 'daemon_error'
+  | 'unauthorized'
+  | 'not_found'
+  | 'server_unavailable'
+  | 'denied'
+  | 'confirmation_required'
+  | 'timeout'
+  | 'cancelled'
+  | 'no_matching_calls'
+  | 'redacted_arguments';
+
+export class SkillClientError extends Error {
+  constructor(message: string, code: ErrorCode | string);
+  readonly code: ErrorCode | string;
+}
+
+export class ConfigError extends SkillClientError {
+  constructor(message: string, errors?: string[]);
+  readonly code: 'invalid_config';
+  readonly errors: string[];
+}
+
+export class SessionNotRunningError extends SkillClientError {
+  constructor(session: string);
+  readonly code: 'session_not_running';
+  readonly session: string;
+}
+
+export class DaemonStartError extends SkillClientError {
+  constructor(message: string, logFile: string, logTail?: string | null);
+  readonly code: 'start_failed';
+  readonly logFile: string;
+  /** Last lines of daemon.log, when there are any. */
+  readonly logTail: string | null;
+}
+
+export class DaemonError extends SkillClientError {
+  constructor(message: string, code?: string, status?: number);
+  /** HTTP status of the daemon response. */
+  readonly status: number;
+}
+
+export class UnauthorizedError extends DaemonError {
+  constructor();
+  readonly code: 'unauthorized';
+}
+
+export class NotFoundError extends DaemonError {
+  constructor(message: string);
+  readonly code: 'not_found';
+}
+
+export class ServerUnavailableError extends DaemonError {
+  constructor(message: string, unavailable?: Unavailable | null);
+  readonly code: 'server_unavailable';
+  readonly unavailable: Unavailable | null;
+}
+
+export class PolicyError extends DaemonError {
+  constructor(message: string, code: 'denied' | 'confirmation_required', tools?: string[] | null);
+  readonly code: 'denied' | 'confirmation_required';
+  /** Tools that need confirmation, for confirmation_required refusals of run(). */
+  readonly tools: string[] | null;
+}
+
+export class CallTimeoutError extends DaemonError {
+  constructor(message: string);
+  readonly code: 'timeout';
+}
+
+export class CallCancelledError extends DaemonError {
+  constructor(message: string);
+  readonly code: 'cancelled';
+}
@@ -0,0 +1,516 @@
+/**
+ * Programmatic API for mcp-skill-client. The CLI (client.js) is a thin layer
+ * over this module.
+ *
+ *   import { SkillClient } from 'mcp-skill-client';
+ *
+ *   const client = new SkillClient({ config: './config.json', session: 'ci' });
+ *   await client.start();
+ *   const result = await client.callTool('browser_navigate', { url: 'https://example.com' });
+ *   await client.stop();
+ *
+ * Session state lives in ./.<name>/ relative to process.cwd(), as with the CLI,
+ * so programs and the CLI run from the same directory share sessions.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+import { UriTemplate } from '@modelcontextprotocol/sdk/shared/uriTemplate.js';
+
+import { loadConfig, readConfig } from './lib/config.js';
+import { ConfigError, DaemonStartError, SessionNotRunningError, SkillClientError } from './lib/errors.js';
+import {
+  createSessionToken,
+  deleteSession,
+  findAvailablePort,
+  getLogFile,
+  getSession,
+  getSocketPath,
+  httpGet,
+  httpPost,
+  httpPostStream,
+  loadHistory,
+  loadSessions,
+  selectHistory,
+  setSession,
+  TOKEN_ENV
+} from './lib/session.js';
+import { createToolSnapshot, diffToolSnapshots, validateToolOutput } from './lib/tools.js';
+import { formatDuration, parseDuration, sleep } from './lib/util.js';
+
+export { diffToolSnapshots, loadConfig, readConfig, validateToolOutput };
+export * from './lib/errors.js';
+
+const CLI_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'client.js');
+
+// start() polls /status this often until the server is connected
+const DAEMON_POLL_INTERVAL = 200;
+const DEFAULT_START_TIMEOUT = '30s';
+// How long stop() gives the daemon to finish calls and close its servers before SIGKILL
+const DAEMON_EXIT_TIMEOUT = 20000;
+// ...and server processes left in its process group after it exited
+const PROCESS_GROUP_EXIT_TIMEOUT = 2000;
+// Lines of daemon.log shown when start fails
+const LOG_TAIL_LINES = 20;
+
+/**
+ * One named session of a config: starts and stops its daemon and sends it
+ * requests. `config` is a config.json path or a config from loadConfig().
+ */
+export class SkillClient {
+  constructor({ config, session } = {}) {
+    if (!session) {
+      throw new SkillClientError('A session name is required', 'invalid_argument');
+    }
+    this.config = resolveConfig(config);
+    this.sessionName = session;
+  }
+  
+  /**
+   * Sessions of a config recorded in sessions.json, with whether their
+   * daemon process is still alive.
+   */
+  static async listSessions(config) {
+    const sessions = loadSessions(resolveConfig(config));
+    return Object.entries(sessions).map(([name, info]) => ({ name, ...info, running: isProcessRunning(info.pid) }));
+  }
+  
+  /**
+   * Stop every session of a config in sessions.json. Failures are reported per
+   * session in `error` rather than thrown.
+   */
+  static async stopAll(config) {
+    const resolved = resolveConfig(config);
+    return Promise.all(Object.keys(loadSessions(resolved)).map(async (name) => {
+      try {
+        return { name, ...(await new SkillClient({ config: resolved, session: name }).stop()) };
+      } catch (e) {
+        return { name, error: e.message };
+      }
+    }));
+  }
+  
+  /**
+   * Start the session daemon, or report the one already running
+   * (`alreadyRunning: true`). Options override idleTimeout/maxLifetime and
+   * logLevel from config; `record` is a fixture file for the replay transport.
+   * Resolves once the server is connected; `wait` (default: startTimeout from
+   * config, else 30s) limits how long that may take. With `servers`, one
+   * connected server is enough and the others are listed in `unavailable`.
+   */
+  async start({ tcp = false, idleTimeout, maxLifetime, logLevel, record, wait } = {}) {
+    const config = this.config;
+    const sessionName = this.sessionName;
+    const existing = getSession(config, sessionName);
+    
+    if (existing) {
+      if (isProcessRunning(existing.pid)) {
+        return { ...describeSession(existing), alreadyRunning: true };
+      }
+      deleteSession(config, sessionName);
+    }
+    if (!config._configPath) {
+      throw new ConfigError('start() needs a config loaded from a file (pass a path or use loadConfig())');
+    }
+    
+    // Validate lifetime settings before spawning so typos fail here, not in the log
+    const lifetimes = { idleTimeout: idleTimeout ?? config.idleTimeout, maxLifetime: maxLifetime ?? config.maxLifetime };
+    const durations = { ...lifetimes, startTimeout: wait ?? config.startTimeout ?? DEFAULT_START_TIMEOUT };
+    for (const [key, value] of Object.entries(durations)) {
+      if (value !== undefined) {
+        try {
+          parseDuration(value);
+        } catch (e) {
+          throw new ConfigError(`${key}: ${e.message}`);
+        }
+      }
+    }
+    
+    // Unix socket by default; TCP only on explicit opt-in
+    const useTcp = tcp || config.daemonTcp === true;
+    const endpoint = useTcp
+      ? { port: await findAvailablePort(config) }
+      : { socket: getSocketPath(config, sessionName) };
+    const recordPath = record ? path.resolve(record) : null;
+    
+    const logFile = getLogFile(config, sessionName);
+    const out = fs.openSync(logFile, 'a', 0o600);
+    const err = fs.openSync(logFile, 'a', 0o600);
+    const token = createSessionToken(config, sessionName);
+    
+    const child = spawn('node', [
+      CLI_PATH,
+      '--config', config._configPath,
+      '--session', sessionName,
+      ...(useTcp ? ['--_port', endpoint.port.toString()] : ['--_socket', endpoint.socket]),
+      ...(lifetimes.idleTimeout !== undefined ? ['--idle-timeout', String(lifetimes.idleTimeout)] : []),
+      ...(lifetimes.maxLifetime !== undefined ? ['--max-lifetime', String(lifetimes.maxLifetime)] : []),
+      ...(logLevel ? ['--log-level', logLevel] : []),
+      ...(recordPath ? ['--record', recordPath] : []),
+      'daemon-run'
+    ], {
+      detached: true,
+      stdio: ['ignore', out, err],
+      env: { ...process.env, ...config.env, [TOKEN_ENV]: token }
+    });
+    
+    const sessionInfo = {
+      pid: child.pid,
+      ...endpoint,
+      startedAt: new Date().toISOString(),
+      // What the caller asked for, so restart() can start the session the same way
+      options: definedOnly({ tcp: tcp || undefined, idleTimeout, maxLifetime, logLevel, record: recordPath ?? undefined })
+    };
+    setSession(config, sessionName, sessionInfo);
+    
+    child.unref();
+    
+    let status;
+    try {
+      status = await waitForReady({ ...sessionInfo, token }, parseDuration(durations.startTimeout));
+    } catch (e) {
+      // Do not leave a daemon behind that is still trying to connect
+      await terminateDaemon(child.pid).catch(() => {});
+      deleteSession(config, sessionName);
+      throw new DaemonStartError(`Failed to start daemon: ${e.message}. Check logs: ${logFile}`, logFile, readLogTail(logFile));
+    }
+    const result = { ...describeSession(sessionInfo), logFile, recording: recordPath, alreadyRunning: false };
+    // A multi-server session starts when some of its servers connect; the others keep retrying
+    const unavailable = Object.entries(status.servers || {})
+      .filter(([, server]) => server.state !== 'connected')
+      .map(([server, { lastError }]) => ({ server, error: lastError || 'not connected' }));
+    return unavailable.length > 0 ? { ...result, unavailable } : result;
+  }
+  
+  /**
+   * Stop the session daemon and wait for it to exit. Resolves to null when the
+   * session was not running, else `{ pid, stopped, forced }`: stopped is false
+   * when the process was already gone, forced when it had to be killed.
+   */
+  async stop() {
+    const session = getSession(this.config, this.sessionName);
+    if (!session) {
+      return null;
+    }
+    
+    const result = await terminateDaemon(session.pid);
+    deleteSession(this.config, this.sessionName);
+    return { pid: session.pid, ...result };
+  }
+  
+  /**
+   * Stop the session if it runs, then start it again with the options it was
+   * started with (tcp, record, idleTimeout, maxLifetime, logLevel); `options`
+   * as for start() override them. `restarted` tells whether it was running.
+   */
+  async restart(options = {}) {
+    const previous = getSession(this.config, this.sessionName)?.options || {};
+    const stopped = await this.stop();
+    return { ...(await this.start({ ...previous, ...definedOnly(options) })), restarted: stopped !== null };
+  }
+  
+  async status() {
+    return this._get('/status');
+  }
+  
+  async listTools() {
+    return this._get('/tools');
+  }
+  
+  // Every tool with its schemas and the server version, for diffToolSnapshots()
+  async snapshotTools() {
+    const status = await this.status();
+    const { tools } = await this.listTools();
+    return createToolSnapshot(status, tools);
+  }
+  
+  // Tool definition including inputSchema
+  async getTool(name) {
+    return this._get(`/tool?name=${encodeURIComponent(name)}`);
+  }
+  
+  /**
+   * Call a tool. `onProgress` and `onLog` receive progress notifications and
+   * server log messages while the call runs, `onRequest` elicitation and
+   * sampling requests from the server (answer them with respond()). Aborting
+   * `signal` cancels the call on the server. Tools in confirmTools need
+   * `confirmed: true`.
+   */
+  async callTool(name, args = {}, { timeout, confirmed = false, onProgress, onLog, onRequest, signal } = {}) {
+    const body = { tool: name, arguments: args, timeout, confirmed };
+    if (onProgress || onLog || onRequest) {
+      const handlers = { progress: onProgress, log: onLog, request: onRequest };
+      const onEvent = (event) => handlers[event.type]?.(event);
+      return httpPostStream(this._session(), '/call', body, onEvent, { signal });
+    }
+    return this._post('/call', body, { signal });
+  }
+  
+  // Run script steps ({ tool, arguments, saveAs, timeout }) in one request
+  async run(steps, { keepGoing = false, confirmed = false } = {}) {
+    return this._post('/run', { steps, keepGoing, confirmed });
+  }
+  
+  /**
+   * Recorded tool calls of this session. `range` selects call numbers
+   * ("3-10"); the other options filter like the history command.
+   */
+  async history({ range, tool, status, since, until, limit } = {}) {
+    return selectHistory(loadHistory(this.config, this.sessionName), range, { tool, status, since, until, limit });
+  }
+  
+  // Re-run calls recorded in another session's history in this session
+  async replay(fromSession, { keepGoing = false, confirmed = false, ...filters } = {}) {
+    const from = new SkillClient({ config: this.config, session: fromSession });
+    const entries = await from.history(filters);
+    if (entries.length === 0) {
+      throw new SkillClientError(`No matching calls in the history of session '${fromSession}'`, 'no_matching_calls');
+    }
+    const redacted = entries.filter(entry => entry.redacted);
+    if (redacted.length > 0) {
+      throw new SkillClientError(`Arguments of call(s) ${redacted.map(entry => `${entry.seq} (${entry.tool})`).join(', ')} were redacted in the history; exclude them from the range`, 'redacted_arguments');
+    }
+    const steps = entries.map(entry => ({ tool: entry.tool, arguments: entry.arguments }));
+    return this.run(steps, { keepGoing, confirmed });
+  }
+  
+  async listCalls() {
+    return this._get('/calls');
+  }
+  
+  // Cancel an in-flight call by id, or every call with 'all'
+  async cancelCall(id) {
+    return this._post('/cancel', id === 'all' ? { all: true } : { id: Number(id) });
+  }
+  
+  // Elicitation and sampling requests from the server waiting for an answer
+  async listPending() {
+    return this._get('/pending');
+  }
+  
+  /**
+   * Answer a pending server request. `action` is accept, decline or cancel;
+   * accepted elicitations carry `content`, accepted sampling requests a reply
+   * `text` or a full `result`.
+   */
+  async respond(id, { action = 'accept', content, text, result } = {}) {
+    return this._post('/respond', { id: Number(id), action, content, text, result });
+  }
+  
+  // Directories advertised to the server(s) through roots/list
+  async listRoots() {
+    return this._get('/roots');
+  }
+  
+  // Relative paths are resolved against process.cwd(), not the daemon's directory
+  async addRoot(rootPath, { name } = {}) {
+    return this._post('/roots', { action: 'add', path: path.resolve(rootPath), name });
+  }
+  
+  // Accepts the path or the root's file:// URI
+  async removeRoot(rootPath) {
+    return this._post('/roots', { action: 'remove', path: rootPath.startsWith('file:') ? rootPath : path.resolve(rootPath) });
+  }
+  
+  async listResources() {
+    return this._get('/resources');
+  }
+  
+  async listResourceTemplates() {
+    return this._get('/resource-templates');
+  }
+  
+  // `variables` expand a URI template (RFC 6570) before reading
+  async readResource(uri, variables) {
+    return this._post('/read', { uri: expandUri(uri, variables) });
+  }
+  
+  // Resolves once the server reports the resource as updated
+  async waitForResourceUpdate(uri, variables) {
+    return this._post('/wait-resource', { uri: expandUri(uri, variables) });
+  }
+  
+  async listPrompts() {
+    return this._get('/prompts');
+  }
+  
+  async getPrompt(name, args = {}) {
+    return this._post('/prompt', { prompt: name, arguments: args });
+  }
+  
+  /**
+   * Complete an argument of a prompt, or of a resource template when `target`
+   * contains "://". `context` holds arguments that are already filled in.
+   */
+  async complete(target, argument, value = '', context = {}) {
+    const ref = target.includes('://')
+      ? { type: 'ref/resource', uri: target }
+      : { type: 'ref/prompt', name: target };
+    const params = { ref, argument: { name: argument, value } };
+    if (Object.keys(context).length > 0) {
+      params.context = { arguments: context };
+    }
+    return this._post('/complete', params);
+  }
+  
+  _session() {
+    const session = getSession(this.config, this.sessionName);
+    if (!session) {
+      throw new SessionNotRunningError(this.sessionName);
+    }
+    return session;
+  }
+  
+  async _get(requestPath) {
+    return JSON.parse(await httpGet(this._session(), requestPath));
+  }
+  
+  async _post(requestPath, data, options) {
+    return JSON.parse(await httpPost(this._session(), requestPath, data, options));
+  }
+}
+
+export const listSessions = (config) => SkillClient.listSessions(config);
+export const stopAllSessions = (config) => SkillClient.stopAll(config);
+
+function resolveConfig(config) {
+  if (typeof config === 'string') {
+    return loadConfig(config);
+  }
+  if (!config || typeof config !== 'object') {
+    throw new ConfigError('A config path or config object is required');
+  }
+  return config;
+}
+
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Poll a new daemon until it is ready: its server connected or, with
+ * `servers`, at least one of them (`degraded`). Rejects when the process
+ * exits, when the server (every server) reports a connection error, or after
+ * `timeout` ms. /status only answers once the first connection attempt has settled.
+ */
+async function waitForReady(session, timeout) {
+  const deadline = Date.now() + timeout;
+  let state = 'not listening';
+  for (;;) {
+    if (!isProcessRunning(session.pid)) {
+      throw new Error('daemon process exited');
+    }
+    let status = null;
+    try {
+      status = JSON.parse(await httpGet(session, '/status'));
+    } catch (e) {
+      // Not listening yet
+    }
+    if (status) {
+      if (status.state === 'connected' || status.state === 'degraded') {
+        return status;
+      }
+      const servers = status.servers ? Object.entries(status.servers) : [[null, status]];
+      const broken = servers.filter(([, server]) => server.lastError || server.state === 'failed');
+      if (broken.length === servers.length) {
+        throw new Error(broken.map(([id, server]) => `${id ? `${id}: ` : ''}${server.lastError || 'connection failed'}`).join('; '));
+      }
+      state = status.state;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`not ready after ${formatDuration(timeout)} (${state})`);
+    }
+    await sleep(DAEMON_POLL_INTERVAL);
+  }
+}
+
+/**
+ * SIGTERM a daemon and wait until it exits. The daemon finishes or cancels its
+ * calls and closes its servers on its own; whatever is left of its process
+ * group (the daemon leads it) after the grace periods gets SIGKILL.
+ */
+async function terminateDaemon(pid) {
+  try {
+    process.kill(pid, 'SIGTERM');
+  } catch (e) {
+    return { stopped: false, forced: false };
+  }
+  
+  const exited = await waitForExit(() => isProcessRunning(pid), DAEMON_EXIT_TIMEOUT);
+  // Grandchildren of servers started through npx or a shell wrapper keep the group id
+  if (exited && await waitForExit(() => isProcessGroupRunning(pid), PROCESS_GROUP_EXIT_TIMEOUT)) {
+    return { stopped: true, forced: false };
+  }
+  try {
+    process.kill(-pid, 'SIGKILL');
+  } catch (e) {
+    // Group already gone, or no process groups on this platform
+    if (!exited) {
+      try {
+        process.kill(pid, 'SIGKILL');
+      } catch (killError) {
+        // Exited after all
+      }
+    }
+  }
+  if (!(await waitForExit(() => isProcessRunning(pid), DAEMON_EXIT_TIMEOUT))) {
+    throw new SkillClientError(`Daemon process ${pid} did not exit`, 'stop_failed');
+  }
+  return { stopped: true, forced: true };
+}
+
+// Resolves false if `isRunning()` still holds after `timeout` ms
+async function waitForExit(isRunning, timeout) {
+  const deadline = Date.now() + timeout;
+  while (isRunning()) {
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await sleep(DAEMON_POLL_INTERVAL);
+  }
+  return true;
+}
+
+function readLogTail(logFile) {
+  try {
+    const lines = fs.readFileSync(logFile, 'utf8').trimEnd().split('\n');
+    return lines.slice(-LOG_TAIL_LINES).join('\n') || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function isProcessGroupRunning(pgid) {
+  try {
+    process.kill(-pgid, 0);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function definedOnly(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+// sessions.json entry without internals
+function describeSession(session) {
+  const { pid, socket, port, startedAt } = session;
+  return { pid, ...(socket ? { socket } : { port }), startedAt };
+}
+
+function expandUri(uri, variables) {
+  if (!variables || Object.keys(variables).length === 0) {
+    return uri;
+  }
+  // Template variables are always strings in RFC 6570 expansion
+  return new UriTemplate(uri).expand(Object.fromEntries(Object.entries(variables).map(([key, value]) => [key, String(value)])));
+}
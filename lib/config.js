@@ -0,0 +1,315 @@
+/**
+ * config.json: schema validation, .env files and ${VAR} interpolation.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import Ajv from 'ajv';
+
+import { ConfigError } from './errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CONFIG_SCHEMA_PATH = path.join(__dirname, '..', 'config.schema.json');
+
+let configValidator = null;
+
+// readConfig() for callers that only want a usable config; problems throw a ConfigError.
+// launch: the config is used to start the server, so unset variables are errors too.
+export function loadConfig(configPath, { launch = false } = {}) {
+  if (!configPath) {
+    throw new ConfigError('A config path is required');
+  }
+  
+  const absPath = path.resolve(configPath);
+  if (!fs.existsSync(absPath)) {
+    throw new ConfigError(`Config file not found: ${absPath}`);
+  }
+  
+  const { config, errors, unresolved } = readConfig(absPath);
+  const problems = launch ? [...errors, ...unresolved] : errors;
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid config ${absPath}:\n${problems.map(error => `  ${error}`).join('\n')}`, problems);
+  }
+  
+  return config;
+}
+
+/**
+ * Read, validate and interpolate a config file. Returns every problem found
+ * instead of stopping at the first, so `config check` can list them all.
+ * Unset environment variables are returned separately in `unresolved`: only
+ * launching the server needs them, so stop, status and sessions still work.
+ */
+export function readConfig(configPath) {
+  const absPath = path.resolve(configPath);
+  if (!fs.existsSync(absPath)) {
+    return { config: null, errors: [`Config file not found: ${absPath}`], unresolved: [] };
+  }
+  
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(absPath, 'utf8'));
+  } catch (e) {
+    return { config: null, errors: [`Invalid JSON: ${e.message}`], unresolved: [] };
+  }
+  
+  const schemaErrors = validateConfigSchema(config);
+  const errors = schemaErrors.length > 0 ? schemaErrors : checkServerSettings(config, path.dirname(absPath));
+  if (errors.length > 0) {
+    return { config, errors, unresolved: [] };
+  }
+  
+  config._configPath = absPath;
+  config._configDir = path.dirname(absPath);
+  // As written, before interpolation; generate-skill copies this so secrets stay in the environment
+  config._source = JSON.parse(fs.readFileSync(absPath, 'utf8'));
+  
+  let dotenv = {};
+  try {
+    dotenv = loadEnvFiles(config);
+  } catch (e) {
+    return { config, errors: [e.message], unresolved: [] };
+  }
+  
+  // The real environment wins over .env files, as with dotenv
+  const unresolved = [];
+  interpolateConfig(config, { ...dotenv, ...process.env }, unresolved);
+  return { config, errors, unresolved };
+}
+
+function validateConfigSchema(config) {
+  if (!configValidator) {
+    const schema = JSON.parse(fs.readFileSync(CONFIG_SCHEMA_PATH, 'utf8'));
+    configValidator = new Ajv({ allErrors: true, strict: false }).compile(schema);
+  }
+  if (configValidator(config)) {
+    return [];
+  }
+  
+  // oneOf/if wrappers only restate the specific errors reported next to them
+  const errors = configValidator.errors.filter(e => !['if', 'oneOf', 'propertyNames'].includes(e.keyword));
+  const messages = (errors.length > 0 ? errors : configValidator.errors).map(formatConfigError);
+  return [...new Set(messages)];
+}
+
+// Rules the schema cannot express: files and roots must exist, servers replaces
+// the top-level transport settings, and aliases must point at a configured server
+function checkServerSettings(config, configDir) {
+  const errors = [];
+  const servers = config.servers ? Object.entries(config.servers).map(([id, server]) => [`servers.${id}.`, server]) : [['', config]];
+  for (const [prefix, server] of servers) {
+    if (server.transport === 'replay' && !fs.existsSync(path.resolve(configDir, server.fixture))) {
+      errors.push(`${prefix}fixture: file not found: ${path.resolve(configDir, server.fixture)}`);
+    }
+  }
+  (config.roots || []).forEach((entry, i) => {
+    const rootPath = path.resolve(configDir, typeof entry === 'string' ? entry : entry.path);
+    if (!fs.existsSync(rootPath) || !fs.statSync(rootPath).isDirectory()) {
+      errors.push(`roots[${i}]: not a directory: ${rootPath}`);
+    }
+  });
+  if (config.servers) {
+    for (const key of ['transport', 'command', 'args', 'env', 'url', 'headers', 'auth', 'fixture', 'match', 'ignoreArguments']) {
+      if (config[key] !== undefined) {
+        errors.push(`${key}: not allowed together with servers (move it into a servers entry)`);
+      }
+    }
+  }
+  for (const [alias, target] of Object.entries(config.aliases || {})) {
+    const serverId = target.split('.')[0];
+    if (!config.servers) {
+      errors.push(`aliases.${alias}: aliases need a servers map`);
+    } else if (!config.servers[serverId]) {
+      errors.push(`aliases.${alias}: unknown server '${serverId}' (known: ${Object.keys(config.servers).join(', ')})`);
+    }
+  }
+  return errors;
+}
+
+function formatConfigError(error) {
+  const location = error.instancePath
+    ? error.instancePath.substring(1).split('/').map((part, i) => (/^\d+$/.test(part) ? `[${part}]` : `${i > 0 ? '.' : ''}${part}`)).join('')
+    : '(root)';
+  const params = error.params;
+  
+  if (error.schemaPath.startsWith('#/definitions/duration')) {
+    return `${location}: must be a duration (seconds, or a string like "30s", "15m", "2h")`;
+  }
+  
+  switch (error.keyword) {
+    case 'required':
+      return `${location}: missing required property '${params.missingProperty}'`;
+    case 'additionalProperties': {
+      const schema = JSON.parse(fs.readFileSync(CONFIG_SCHEMA_PATH, 'utf8'));
+      const known = error.instancePath === '' ? Object.keys(schema.properties)
+        : /^\/servers\/[^/]+$/.test(error.instancePath) ? Object.keys(schema.definitions.server.properties)
+        : [];
+      const suggestion = closestMatch(params.additionalProperty, known);
+      return `${location}: unknown property '${params.additionalProperty}'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`;
+    }
+    case 'enum':
+      return `${location}: must be one of ${params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
+    case 'type':
+      return `${location}: must be ${params.type}`;
+    case 'pattern':
+      if (error.propertyName !== undefined) {
+        return `${location}: invalid key '${error.propertyName}' (must match ${params.pattern})`;
+      }
+      return `${location}: invalid format (must match ${params.pattern})`;
+    default:
+      return `${location}: ${error.message}`;
+  }
+}
+
+function closestMatch(word, candidates) {
+  let best = null;
+  let bestDistance = 3;
+  for (const candidate of candidates) {
+    const distance = editDistance(word.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function loadEnvFiles(config) {
+  const explicit = config.envFile !== undefined;
+  const files = explicit ? [].concat(config.envFile) : ['.env'];
+  const vars = {};
+  
+  for (const file of files) {
+    const absPath = path.resolve(config._configDir, file);
+    if (!fs.existsSync(absPath)) {
+      if (explicit) {
+        throw new Error(`envFile: file not found: ${absPath}`);
+      }
+      continue;
+    }
+    Object.assign(vars, parseDotenv(fs.readFileSync(absPath, 'utf8')));
+  }
+  return vars;
+}
+
+/**
+ * Minimal .env parser: KEY=value lines, optional `export `, # comments,
+ * single quotes (literal) and double quotes (with \n escapes).
+ */
+function parseDotenv(text) {
+  const vars = {};
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+    const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/.exec(line);
+    if (!match) {
+      continue;
+    }
+    let value = match[2];
+    if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+      value = value.slice(1, -1).replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+    } else if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+      value = value.slice(1, -1);
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    vars[match[1]] = value;
+  }
+  return vars;
+}
+
+function interpolateConfig(config, vars, unresolved) {
+  interpolateServerSettings(config, '', vars, unresolved);
+  for (const [id, server] of Object.entries(config.servers || {})) {
+    interpolateServerSettings(server, `servers.${id}.`, vars, unresolved);
+  }
+}
+
+function interpolateServerSettings(target, prefix, vars, unresolved) {
+  const interpolate = (value, where) => interpolateString(value, vars, `${prefix}${where}`, unresolved);
+  
+  if (typeof target.command === 'string') {
+    target.command = interpolate(target.command, 'command');
+  }
+  if (Array.isArray(target.args)) {
+    target.args = target.args.map((arg, i) => interpolate(arg, `args[${i}]`));
+  }
+  if (typeof target.url === 'string') {
+    target.url = interpolate(target.url, 'url');
+  }
+  for (const key of ['env', 'headers']) {
+    if (target[key]) {
+      for (const [name, value] of Object.entries(target[key])) {
+        target[key][name] = interpolate(value, `${key}.${name}`);
+      }
+    }
+  }
+  if (target.auth) {
+    for (const name of ['token', 'clientId', 'clientSecret', 'scope']) {
+      if (typeof target.auth[name] === 'string') {
+        target.auth[name] = interpolate(target.auth[name], `auth.${name}`);
+      }
+    }
+  }
+}
+
+// ${VAR} and ${VAR:-default}; $${...} is a literal ${...}
+function interpolateString(value, vars, where, unresolved) {
+  return value.replace(/\$(\$)?\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, escaped, name, fallback) => {
+    if (escaped) {
+      return match.substring(1);
+    }
+    if (vars[name] !== undefined && vars[name] !== '') {
+      return vars[name];
+    }
+    if (fallback !== undefined) {
+      return fallback;
+    }
+    unresolved.push(`${where}: environment variable ${name} is not set (use \${${name}:-default} for a fallback)`);
+    return '';
+  });
+}
+
+/**
+ * Server entries of a config: a single unnamed entry for a plain config, or
+ * one per `servers` key with the top-level defaults filled in.
+ */
+export function getServerConfigs(config) {
+  if (!config.servers) {
+    return [{ id: null, config }];
+  }
+  return Object.entries(config.servers).map(([id, server]) => ({
+    id,
+    config: {
+      reconnect: config.reconnect,
+      elicitation: config.elicitation,
+      sampling: config.sampling,
+      callTimeout: config.callTimeout,
+      logLevel: config.logLevel,
+      ...server,
+      name: config.name,
+      _serverId: id,
+      _configPath: config._configPath,
+      _configDir: config._configDir
+    }
+  }));
+}
@@ -0,0 +1,1947 @@
+/**
+ * The session daemon: keeps MCP server connections open and serves CLI and
+ * API requests on an owner-only socket.
+ */
+
+import { spawn, spawnSync } from 'node:child_process';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport, SseError } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StreamableHTTPClientTransport, StreamableHTTPError } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { UriTemplate } from '@modelcontextprotocol/sdk/shared/uriTemplate.js';
+import { CallToolResultSchema, CreateMessageRequestSchema, ElicitRequestSchema, ErrorCode, ListRootsRequestSchema, LoggingMessageNotificationSchema, ResourceUpdatedNotificationSchema, ToolListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { AjvJsonSchemaValidator } from '@modelcontextprotocol/sdk/validation/ajv';
+
+import { getServerConfigs } from './config.js';
+import { ConfigError } from './errors.js';
+import { OAuthProvider } from './oauth.js';
+import { deleteSession, getHistoryFile, getOutputDir, getSession, loadHistory, socketConnectPath, TOKEN_ENV } from './session.js';
+import { formatDuration, globToRegExp, parseDuration, sleep, tryParseJson } from './util.js';
+
+// ============ Daemon Process ============
+
+// How long shutdown lets in-flight calls finish before cancelling them
+const SHUTDOWN_GRACE = 5000;
+// How long processes left in our process group get after SIGTERM before SIGKILL
+const SHUTDOWN_KILL_GRACE = 2000;
+
+export async function runDaemon(config, sessionName, listen, options = {}) {
+  console.log(`[${new Date().toISOString()}] Starting daemon for ${config.name} (session: ${sessionName})`);
+  
+  // Take the token out of the environment so the MCP server never inherits it
+  const token = process.env[TOKEN_ENV];
+  delete process.env[TOKEN_ENV];
+  if (!token) {
+    console.error(`[${new Date().toISOString()}] No session token provided; refusing to start`);
+    process.exit(1);
+  }
+  const expectedAuth = Buffer.from(`Bearer ${token}`);
+  
+  const isAuthorized = (req) => {
+    const auth = Buffer.from(req.headers.authorization || '');
+    return auth.length === expectedAuth.length && crypto.timingSafeEqual(auth, expectedAuth);
+  };
+  
+  // Single-server configs keep plain tool names; with `servers` they are <server>.<tool>
+  const multi = !!config.servers;
+  const aliases = config.aliases || {};
+  const aliasByTarget = Object.fromEntries(Object.entries(aliases).map(([alias, target]) => [target, alias]));
+  let shuttingDown = false;
+  
+  // start --record: every request/response with the server(s) goes to a fixture file
+  const recorder = options.record ? createFixtureRecorder(options.record) : null;
+  if (recorder) {
+    console.log(`[${new Date().toISOString()}] Recording server exchanges to ${options.record}`);
+  }
+  
+  // In-flight tool calls, cancellable through /cancel
+  const inflightCalls = new Map();
+  let nextCallId = 1;
+  
+  const cancelCall = (call, reason) => {
+    if (!call.cancelReason) {
+      call.cancelReason = reason;
+      console.log(`[${new Date().toISOString()}] Cancelling call ${call.id} (${call.tool}): ${reason}`);
+      // Aborting makes the SDK send notifications/cancelled for the request
+      call.controller.abort(reason);
+    }
+  };
+  
+  // Every executed call is appended to history.jsonl (see `history`, `replay`)
+  const historyFile = getHistoryFile(config, sessionName);
+  const historySecrets = getConfigSecrets(config);
+  let nextHistorySeq = loadHistory(config, sessionName).reduce((max, entry) => Math.max(max, entry.seq || 0), 0) + 1;
+  
+  const recordCall = (call, result, error) => {
+    const seq = nextHistorySeq++;
+    const { value: redactedArgs, redacted } = redactArguments(call.arguments, historySecrets);
+    const entry = {
+      seq,
+      time: call.startedAt,
+      tool: call.tool,
+      arguments: redactedArgs,
+      durationMs: Date.now() - Date.parse(call.startedAt),
+      status: error ? (error.callStatus || 'error') : (result.isError ? 'error' : 'ok'),
+      isError: error ? true : !!result.isError
+    };
+    if (redacted) {
+      entry.redacted = true;
+    }
+    try {
+      if (error) {
+        entry.error = maskSecrets(error.message, historySecrets);
+      } else {
+        const { summary, complete } = summarizeResult(result);
+        entry.summary = maskSecrets(summary, historySecrets);
+        if (!complete) {
+          entry.output = path.join(getOutputDir(config, sessionName, null), `call-${seq}.json`);
+          fs.writeFileSync(entry.output, JSON.stringify(result, null, 2), { mode: 0o600 });
+        }
+      }
+      fs.appendFileSync(historyFile, JSON.stringify(entry) + '\n', { mode: 0o600 });
+    } catch (e) {
+      console.error(`[${new Date().toISOString()}] Could not record call ${call.id} in history:`, e.message);
+    }
+  };
+  
+  // Run a tool call tracked in inflightCalls. `target` comes from resolveName().
+  // Failures from timeouts and cancellation carry callStatus 'timeout' / 'cancelled'.
+  const executeCall = async (target, toolArgs, { timeout, onprogress, onStart } = {}) => {
+    const { conn, name, requested } = target;
+    const call = {
+      id: nextCallId++,
+      tool: requested,
+      arguments: toolArgs,
+      startedAt: new Date().toISOString(),
+      timeout: getCallTimeout(conn.config, name, timeout ?? (multi ? config.toolTimeouts?.[requested] ?? config.toolTimeouts?.[qualifiedName(conn, name)] : undefined)),
+      controller: new AbortController(),
+      cancelReason: null
+    };
+    inflightCalls.set(call.id, call);
+    onStart?.(call);
+    
+    console.log(`[${new Date().toISOString()}] Calling tool: ${requested} (call ${call.id})`, toolArgs);
+    
+    const requestOptions = { signal: call.controller.signal, onprogress };
+    if (call.timeout) {
+      requestOptions.timeout = call.timeout;
+    }
+    
+    try {
+      // Not client.callTool(): it throws the result away when structuredContent does not match
+      // the outputSchema; callers check that themselves (validateToolOutput)
+      const result = await conn.client.request({ method: 'tools/call', params: { name, arguments: toolArgs } }, CallToolResultSchema, requestOptions);
+      recordCall(call, result, null);
+      return result;
+    } catch (e) {
+      let error = e;
+      if (call.cancelReason) {
+        error = Object.assign(new Error(`Call cancelled: ${call.cancelReason}`), { callStatus: 'cancelled' });
+      } else if (e.code === ErrorCode.RequestTimeout) {
+        error = Object.assign(new Error(`Call timed out after ${formatDuration(call.timeout)}`), { callStatus: 'timeout' });
+      }
+      recordCall(call, null, error);
+      throw error;
+    } finally {
+      inflightCalls.delete(call.id);
+    }
+  };
+  
+  // Streaming /call requests listening for server log messages: (conn, params) => void
+  const logListeners = new Set();
+  
+  // ---- Server-initiated requests (elicitation, sampling) ----
+  // Requests waiting for an answer from a streaming call or `respond`: id -> { request, conn, settle, fail }
+  const pendingRequests = new Map();
+  let nextRequestId = 1;
+  // Streaming /call requests listening for server requests: (conn, request) => void
+  const requestListeners = new Set();
+  
+  const handleServerRequest = async (conn, kind, params, signal) => {
+    const settings = conn.config[kind] || {};
+    const action = settings.action || 'ask';
+    const tag = conn.id ? ` [${conn.id}]` : '';
+    console.log(`[${new Date().toISOString()}]${tag} Server requested ${kind} (${action}): ${params.message ?? describeMessages(params.messages)}`);
+    
+    if (action === 'command') {
+      return runSamplingCommand(settings, params, signal);
+    }
+    const answer = action === 'ask'
+      ? await waitForAnswer(conn, kind, params, settings, signal)
+      : { action };
+    
+    if (kind === 'sampling') {
+      if (answer.action !== 'accept') {
+        // A plain Error keeps the message free of McpError's prefix; the SDK sends `code` as is
+        throw Object.assign(new Error(`User rejected sampling request (${answer.action})`), { code: SAMPLING_REJECTED });
+      }
+      return answer.result;
+    }
+    return answer.action === 'accept' ? { action: 'accept', content: answer.content } : { action: answer.action };
+  };
+  
+  // Queue a request until /respond answers it; unanswered requests are declined after `timeout`
+  const waitForAnswer = (conn, kind, params, settings, signal) => new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    const request = { id, kind, server: conn.id, createdAt: new Date().toISOString(), params };
+    const timer = settings.timeout !== undefined
+      ? setTimeout(() => settle({ action: 'decline' }), parseDuration(settings.timeout))
+      : null;
+    const settle = (answer) => {
+      clearTimeout(timer);
+      pendingRequests.delete(id);
+      resolve(answer);
+    };
+    const fail = (reason) => {
+      clearTimeout(timer);
+      pendingRequests.delete(id);
+      reject(new Error(reason));
+    };
+    // The server gave up on the request (timeout or cancellation)
+    signal.addEventListener('abort', () => fail('Request cancelled by the server'), { once: true });
+    
+    pendingRequests.set(id, { request, conn, settle, fail });
+    for (const listener of requestListeners) {
+      listener(conn, request);
+    }
+  });
+  
+  // ---- Filesystem roots ----
+  // Advertised to every server through roots/list; `roots add/remove` changes them at runtime
+  const roots = getConfigRoots(config);
+  
+  const notifyRootsChanged = () => {
+    for (const conn of connections) {
+      if (conn.state === 'connected') {
+        conn.client.sendRootsListChanged().catch((e) => {
+          console.error(`[${new Date().toISOString()}]${conn.id ? ` [${conn.id}]` : ''} Could not send roots/list_changed:`, e.message);
+        });
+      }
+    }
+  };
+  
+  // ---- Connection supervisor (one per server) ----
+  // state: connecting -> connected -> (transport closed) -> connecting ... -> failed
+  const createConnection = (id, serverConfig) => {
+    const tag = id ? ` [${id}]` : '';
+    const client = new Client({
+      name: 'mcp-skill-client',
+      version: '1.0.0'
+    }, {
+      capabilities: { elicitation: { form: {}, url: {} }, sampling: {}, roots: { listChanged: true } }
+    });
+    const reconnect = getReconnectOptions(serverConfig);
+    let transport = null;
+    let stateWaiters = [];
+    
+    const conn = {
+      id,
+      config: serverConfig,
+      client,
+      state: 'connecting',
+      lastError: null,
+      attempts: 0,
+      restartCount: 0,
+      lastExitCode: null,
+      // 'http' switches to 'sse' for good once the server rejects streamable HTTP
+      transportKind: serverConfig.transport,
+      logLevel: serverConfig.logLevel || null,
+      // Promise of the full tool list (every page); reset on list_changed and reconnects
+      toolsCache: null,
+      // Resource subscriptions: uri -> Set of pending waiter callbacks
+      resourceWaiters: new Map(),
+      subscribedUris: new Set()
+    };
+    
+    client.setNotificationHandler(LoggingMessageNotificationSchema, (notification) => {
+      const { level, logger, data } = notification.params;
+      console.log(`[${new Date().toISOString()}]${tag} [server ${level}]${logger ? ` ${logger}:` : ''}`, data);
+      for (const listener of logListeners) {
+        listener(conn, notification.params);
+      }
+    });
+    
+    client.setRequestHandler(ElicitRequestSchema, (request, extra) =>
+      handleServerRequest(conn, 'elicitation', request.params, extra.signal));
+    
+    client.setRequestHandler(CreateMessageRequestSchema, (request, extra) =>
+      handleServerRequest(conn, 'sampling', request.params, extra.signal));
+    
+    client.setRequestHandler(ListRootsRequestSchema, () => ({ roots }));
+    
+    client.setNotificationHandler(ToolListChangedNotificationSchema, () => {
+      console.log(`[${new Date().toISOString()}]${tag} Tool list changed; refreshing`);
+      conn.toolsCache = null;
+      conn.getTools().catch(e => console.error(`[${new Date().toISOString()}]${tag} Failed to refresh tools:`, e.message));
+    });
+    
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+      const { uri } = notification.params;
+      console.log(`[${new Date().toISOString()}]${tag} Resource updated: ${uri}`);
+      const waiters = conn.resourceWaiters.get(uri);
+      if (waiters) {
+        conn.resourceWaiters.delete(uri);
+        for (const resolve of waiters) {
+          resolve(true);
+        }
+      }
+    });
+    
+    const setState = (next) => {
+      conn.state = next;
+      if (next !== 'connecting') {
+        const waiters = stateWaiters;
+        stateWaiters = [];
+        for (const resolve of waiters) {
+          resolve();
+        }
+      }
+    };
+    
+    const connect = async () => {
+      transport = createTransport(serverConfig, conn.transportKind);
+      
+      if (transport instanceof StdioClientTransport) {
+        console.log(`[${new Date().toISOString()}]${tag} Starting server: ${serverConfig.command} ${serverConfig.args?.join(' ') || ''}`);
+        // Capture stderr for logging
+        transport.stderr?.on('data', (data) => {
+          console.error(`[${new Date().toISOString()}]${tag} [server stderr] ${data.toString().trim()}`);
+        });
+        
+        // The SDK does not expose the child process; hook start() to record how the server exits
+        const start = transport.start.bind(transport);
+        transport.start = async () => {
+          await start();
+          transport._process?.once('exit', (code, signal) => {
+            conn.lastExitCode = code ?? signal;
+            console.error(`[${new Date().toISOString()}]${tag} Server process exited (${conn.lastExitCode})`);
+          });
+        };
+      } else if (transport instanceof ReplayTransport) {
+        console.log(`[${new Date().toISOString()}]${tag} Replaying fixture ${transport.fixturePath}`);
+      } else {
+        console.log(`[${new Date().toISOString()}]${tag} Connecting to ${serverConfig.url}`);
+      }
+      if (recorder) {
+        transport = new RecordingTransport(transport, recorder, id);
+      }
+      
+      try {
+        await client.connect(transport);
+      } catch (e) {
+        if (e instanceof StreamableHTTPError && (e.code === 401 || e.code === 403)) {
+          throw new Error(`Server returned HTTP ${e.code}; check auth and headers in config`);
+        }
+        if (conn.transportKind !== 'http' || !shouldFallbackToSse(e)) {
+          throw e;
+        }
+        console.log(`[${new Date().toISOString()}]${tag} Server rejected streamable HTTP (HTTP ${e.code}); falling back to SSE`);
+        conn.transportKind = 'sse';
+        transport = createTransport(serverConfig, conn.transportKind);
+        if (recorder) {
+          transport = new RecordingTransport(transport, recorder, id);
+        }
+        await client.connect(transport);
+      }
+      
+      conn.attempts = 0;
+      conn.lastError = null;
+      setState('connected');
+      console.log(`[${new Date().toISOString()}]${tag} Connected via ${conn.transportKind}`);
+      
+      if (conn.logLevel) {
+        await conn.applyLogLevel(conn.logLevel);
+      }
+    };
+    
+    const scheduleReconnect = () => {
+      if (shuttingDown) {
+        return;
+      }
+      if (conn.attempts >= reconnect.maxAttempts) {
+        console.error(`[${new Date().toISOString()}]${tag} Giving up after ${conn.attempts} reconnect attempt(s)`);
+        setState('failed');
+        return;
+      }
+      
+      const delay = Math.min(reconnect.backoff * 2 ** conn.attempts, reconnect.maxBackoff);
+      conn.attempts++;
+      setState('connecting');
+      console.log(`[${new Date().toISOString()}]${tag} Reconnecting in ${delay}ms (attempt ${conn.attempts}/${reconnect.maxAttempts})`);
+      
+      setTimeout(async () => {
+        if (shuttingDown) {
+          return;
+        }
+        try {
+          await connect();
+          conn.restartCount++;
+          onReconnected();
+        } catch (e) {
+          conn.lastError = e.message;
+          console.error(`[${new Date().toISOString()}]${tag} Failed to connect:`, e.message);
+          scheduleReconnect();
+        }
+      }, delay);
+    };
+    
+    const onReconnected = () => {
+      // A new server session: cached tools are stale and subscriptions must be renewed
+      conn.toolsCache = null;
+      conn.subscribedUris.clear();
+      for (const uri of conn.resourceWaiters.keys()) {
+        client.subscribeResource({ uri })
+          .then(() => conn.subscribedUris.add(uri))
+          .catch(e => console.error(`[${new Date().toISOString()}]${tag} Failed to resubscribe ${uri}:`, e.message));
+      }
+    };
+    
+    client.onclose = () => {
+      // Requests from the old server session can no longer be answered
+      for (const entry of pendingRequests.values()) {
+        if (entry.conn === conn) {
+          entry.fail('Connection to MCP server closed');
+        }
+      }
+      if (shuttingDown || conn.state !== 'connected') {
+        return;
+      }
+      conn.lastError = 'Connection to MCP server closed';
+      console.error(`[${new Date().toISOString()}]${tag} ${conn.lastError}`);
+      scheduleReconnect();
+    };
+    
+    client.onerror = (error) => {
+      console.error(`[${new Date().toISOString()}]${tag} Transport error:`, error.message);
+      // HTTP transports do not close on network failures; drop the connection so the supervisor reconnects.
+      // A broken SSE stream means a new server session, which needs a fresh initialize.
+      if (conn.state === 'connected' && !(transport instanceof StdioClientTransport) && (isConnectionError(error) || error instanceof SseError)) {
+        conn.lastError = error.message;
+        client.close().catch(() => {});
+      }
+    };
+    
+    conn.start = async () => {
+      try {
+        await connect();
+      } catch (e) {
+        conn.lastError = e.message;
+        console.error(`[${new Date().toISOString()}]${tag} Failed to connect:`, e.message);
+        if (e instanceof ConfigError) {
+          setState('failed');
+        } else {
+          scheduleReconnect();
+        }
+      }
+    };
+    
+    conn.getTools = () => {
+      if (!conn.toolsCache) {
+        const loading = listAllTools(client).catch((e) => {
+          // Let the next request try again
+          if (conn.toolsCache === loading) {
+            conn.toolsCache = null;
+          }
+          throw e;
+        });
+        conn.toolsCache = loading;
+      }
+      return conn.toolsCache;
+    };
+    
+    conn.applyLogLevel = async (level) => {
+      if (!client.getServerCapabilities()?.logging) {
+        console.error(`[${new Date().toISOString()}]${tag} Server does not support logging; ignoring log level ${level}`);
+        return;
+      }
+      await client.setLoggingLevel(level);
+      console.log(`[${new Date().toISOString()}]${tag} Server log level set to ${level}`);
+    };
+    
+    // Wait (bounded) for an in-progress reconnect; resolves true when usable
+    conn.ensureConnected = async () => {
+      if (conn.state === 'connecting') {
+        await Promise.race([
+          new Promise(resolve => stateWaiters.push(resolve)),
+          sleep(reconnect.waitTimeout)
+        ]);
+      }
+      return conn.state === 'connected';
+    };
+    
+    conn.notConnectedError = () => {
+      const server = id ? ` '${id}'` : '';
+      return {
+        error: conn.state === 'failed'
+          ? `Not connected to MCP server${server} (reconnect failed: ${conn.lastError})`
+          : `Not connected to MCP server${server} (still connecting)`
+      };
+    };
+    
+    conn.describe = () => {
+      const connected = conn.state === 'connected';
+      return {
+        connected,
+        state: conn.state,
+        lastError: conn.lastError,
+        restartCount: conn.restartCount,
+        lastExitCode: conn.lastExitCode,
+        reconnectAttempts: conn.attempts,
+        transport: conn.transportKind,
+        serverInfo: connected ? client.getServerVersion() : null,
+        instructions: connected ? client.getInstructions() || null : null
+      };
+    };
+    
+    return conn;
+  };
+  
+  const connections = getServerConfigs(config).map(({ id, config: serverConfig }) => createConnection(id, serverConfig));
+  
+  const qualifiedName = (conn, name) => (conn.id ? `${conn.id}.${name}` : name);
+  
+  // Name shown to the CLI: the alias if one points at the tool
+  const publicToolName = (conn, name) => aliasByTarget[qualifiedName(conn, name)] || qualifiedName(conn, name);
+  
+  // allowTools/denyTools/confirmTools/argumentRules, matched against every name of a tool
+  const policy = createToolPolicy(config);
+  const policyNames = (conn, name) => {
+    const qualified = qualifiedName(conn, name);
+    return aliasByTarget[qualified] ? [qualified, aliasByTarget[qualified]] : [qualified];
+  };
+  
+  // Map a tool (or prompt) name from the CLI to its connection and the
+  // server's own name; null when no configured server matches
+  const resolveName = (requested, { allowAlias = true } = {}) => {
+    if (!multi) {
+      return { conn: connections[0], name: requested, requested };
+    }
+    const target = (allowAlias && aliases[requested]) || requested;
+    const dot = target.indexOf('.');
+    const conn = dot > 0 ? connections.find(c => c.id === target.substring(0, dot)) : null;
+    return conn ? { conn, name: target.substring(dot + 1), requested } : null;
+  };
+  
+  const unknownNameError = (kind, name) => ({
+    error: `Unknown ${kind} '${name}' (use <server>.<${kind}>; servers: ${connections.map(c => c.id).join(', ')})`
+  });
+  
+  // Run `list` on every connected server that has `capability`; servers that
+  // are down are reported in `unavailable` instead of failing the request
+  const collectFromServers = async (capability, list) => {
+    const results = await Promise.all(connections.map(async (conn) => {
+      if (!(await conn.ensureConnected())) {
+        return { conn, error: conn.notConnectedError().error };
+      }
+      if (!conn.client.getServerCapabilities()?.[capability]) {
+        return { conn, items: [] };
+      }
+      try {
+        return { conn, items: await list(conn) };
+      } catch (e) {
+        return { conn, error: e.message };
+      }
+    }));
+    return {
+      items: results.flatMap(r => r.items || []),
+      unavailable: results.filter(r => r.error).map(r => ({ server: r.conn.id, error: r.error }))
+    };
+  };
+  
+  // The server that owns a URI: the one listing it or a template matching it,
+  // else the only server offering resources
+  const findResourceConnection = async (uri) => {
+    if (!multi) {
+      return connections[0];
+    }
+    await Promise.all(connections.map(conn => conn.ensureConnected()));
+    const candidates = connections.filter(c => c.state === 'connected' && c.client.getServerCapabilities()?.resources);
+    for (const conn of candidates) {
+      try {
+        const { resources } = await conn.client.listResources();
+        if (resources.some(r => r.uri === uri)) {
+          return conn;
+        }
+        const { resourceTemplates } = await conn.client.listResourceTemplates();
+        if (resourceTemplates.some(t => new UriTemplate(t.uriTemplate).match(uri))) {
+          return conn;
+        }
+      } catch (e) {
+        // Try the next server
+      }
+    }
+    return candidates.length === 1 ? candidates[0] : null;
+  };
+  
+  await Promise.all(connections.map(conn => conn.start()));
+  
+  // ---- Auto-shutdown ----
+  const startedAt = Date.now();
+  const idleTimeout = config.idleTimeout !== undefined ? parseDuration(config.idleTimeout) : null;
+  const maxLifetime = config.maxLifetime !== undefined ? parseDuration(config.maxLifetime) : null;
+  let lastActivity = startedAt;
+  let lifetimeTimer = null;
+  // Requests still being answered (calls, watch); /status does not count
+  let activeRequests = 0;
+  
+  // Returns { at, reason } for the earliest scheduled shutdown, or null.
+  // A busy daemon is not idle: the idle period starts when the last request finishes.
+  const nextShutdown = () => {
+    const candidates = [];
+    if (idleTimeout && activeRequests === 0 && inflightCalls.size === 0) {
+      candidates.push({ at: lastActivity + idleTimeout, reason: 'idle' });
+    }
+    if (maxLifetime) {
+      candidates.push({ at: startedAt + maxLifetime, reason: 'max-lifetime' });
+    }
+    return candidates.sort((a, b) => a.at - b.at)[0] || null;
+  };
+  
+  const scheduleAutoShutdown = () => {
+    clearTimeout(lifetimeTimer);
+    const next = nextShutdown();
+    if (!next) {
+      return;
+    }
+    // Delays are capped because setTimeout overflows past ~24.8 days; the timer re-arms itself
+    lifetimeTimer = setTimeout(() => {
+      const due = nextShutdown();
+      if (due && due.at <= Date.now()) {
+        shutdown(due.reason === 'idle' ? `idle for ${formatDuration(idleTimeout)}` : `max lifetime ${formatDuration(maxLifetime)} reached`);
+      } else {
+        scheduleAutoShutdown();
+      }
+    }, Math.min(Math.max(next.at - Date.now(), 0), 2 ** 31 - 1));
+  };
+  
+  const touch = () => {
+    lastActivity = Date.now();
+    scheduleAutoShutdown();
+  };
+  
+  scheduleAutoShutdown();
+  
+  // HTTP server for receiving commands
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    
+    // Every request must carry the session token, including status probes
+    if (!isAuthorized(req)) {
+      sendJson(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+    
+    if (shuttingDown) {
+      sendJson(res, 503, { error: 'Daemon is shutting down' });
+      return;
+    }
+    
+    // Status probes do not count as activity
+    if (url.pathname !== '/status') {
+      activeRequests++;
+      touch();
+      res.on('close', () => {
+        activeRequests--;
+        touch();
+      });
+    }
+    
+    if (url.pathname === '/status') {
+      const status = { server: config.name, session: sessionName, shutdown: nextShutdown(), recording: options.record || null, pendingRequests: pendingRequests.size };
+      if (!multi) {
+        sendJson(res, 200, { ...connections[0].describe(), ...status });
+        return;
+      }
+      
+      const servers = Object.fromEntries(connections.map(conn => [conn.id, conn.describe()]));
+      const states = connections.map(conn => conn.state);
+      const state = states.every(s => s === 'connected') ? 'connected'
+        : states.every(s => s === 'failed') ? 'failed'
+        : states.includes('connected') ? 'degraded'
+        : 'connecting';
+      const instructions = connections
+        .filter(conn => servers[conn.id].instructions)
+        .map(conn => `${conn.id}: ${servers[conn.id].instructions}`);
+      sendJson(res, 200, {
+        connected: state === 'connected',
+        state,
+        restartCount: connections.reduce((sum, conn) => sum + conn.restartCount, 0),
+        ...status,
+        serverInfo: null,
+        instructions: instructions.length > 0 ? instructions.join('\n\n') : null,
+        servers
+      });
+      return;
+    }
+    
+    if (url.pathname === '/tools' && req.method === 'GET') {
+      if (!multi) {
+        const conn = connections[0];
+        if (!(await conn.ensureConnected())) {
+          sendJson(res, 503, conn.notConnectedError());
+          return;
+        }
+        
+        try {
+          const tools = await conn.getTools();
+          // Denied tools are not advertised at all
+          sendJson(res, 200, { tools: tools.filter(tool => policy.isVisible(policyNames(conn, tool.name))) });
+        } catch (e) {
+          sendJson(res, 500, { error: e.message });
+        }
+        return;
+      }
+      
+      const { items, unavailable } = await collectFromServers('tools', async (conn) => {
+        const tools = await conn.getTools();
+        return tools
+          .filter(tool => policy.isVisible(policyNames(conn, tool.name)))
+          .map(tool => ({ ...tool, name: publicToolName(conn, tool.name) }));
+      });
+      if (unavailable.length === connections.length) {
+        sendJson(res, 503, { error: unavailable.map(u => u.error).join('; '), unavailable });
+        return;
+      }
+      sendJson(res, 200, unavailable.length > 0 ? { tools: items, unavailable } : { tools: items });
+      return;
+    }
+    
+    if (url.pathname === '/tool' && req.method === 'GET') {
+      try {
+        const name = url.searchParams.get('name');
+        if (!name) {
+          sendJson(res, 400, { error: 'Missing tool name (?name=<tool>)' });
+          return;
+        }
+        const target = resolveName(name);
+        if (!target) {
+          sendJson(res, 404, unknownNameError('tool', name));
+          return;
+        }
+        if (!policy.isVisible(policyNames(target.conn, target.name))) {
+          sendJson(res, 403, policy.check(name, policyNames(target.conn, target.name), {}));
+          return;
+        }
+        if (!(await target.conn.ensureConnected())) {
+          sendJson(res, 503, target.conn.notConnectedError());
+          return;
+        }
+        
+        const tool = (await target.conn.getTools()).find(t => t.name === target.name);
+        if (!tool) {
+          sendJson(res, 404, { error: `Unknown tool '${name}'` });
+          return;
+        }
+        sendJson(res, 200, { ...tool, name: publicToolName(target.conn, tool.name) });
+      } catch (e) {
+        console.error(`[${new Date().toISOString()}] Error:`, e.message);
+        sendJson(res, 500, { error: e.message });
+      }
+      return;
+    }
+    
+    if (url.pathname === '/call' && req.method === 'POST') {
+      // Clients that accept NDJSON get progress/log events streamed before the result
+      const stream = req.headers.accept === 'application/x-ndjson';
+      let onLog = null;
+      let onRequest = null;
+      
+      try {
+        const { tool, arguments: toolArgs, timeout, confirmed } = await readJsonBody(req);
+        
+        const target = resolveName(tool);
+        if (!target) {
+          sendJson(res, 404, unknownNameError('tool', tool));
+          return;
+        }
+        const { conn } = target;
+        
+        const violation = policy.check(tool, policyNames(conn, target.name), toolArgs, { confirmed });
+        if (violation) {
+          console.log(`[${new Date().toISOString()}] Refused call to ${tool}: ${violation.error}`);
+          sendJson(res, 403, violation);
+          return;
+        }
+        if (!(await conn.ensureConnected())) {
+          sendJson(res, 503, conn.notConnectedError());
+          return;
+        }
+        
+        const callOptions = {
+          timeout,
+          // The CLI going away (Ctrl-C, killed) cancels the call on the server too
+          onStart: (call) => res.on('close', () => {
+            if (!res.writableFinished) {
+              cancelCall(call, 'Client disconnected');
+            }
+          })
+        };
+        if (stream) {
+          res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+          const emit = (event) => res.write(JSON.stringify(event) + '\n');
+          onLog = (source, params) => {
+            if (source === conn) {
+              emit({ type: 'log', ...params });
+            }
+          };
+          logListeners.add(onLog);
+          onRequest = (source, request) => {
+            if (source === conn) {
+              emit({ type: 'request', ...request });
+            }
+          };
+          requestListeners.add(onRequest);
+          // Passing onprogress makes the SDK attach a progressToken to the request
+          callOptions.onprogress = (progress) => emit({ type: 'progress', ...progress });
+        }
+        
+        const result = await executeCall(target, toolArgs, callOptions);
+        
+        if (stream) {
+          res.end(JSON.stringify({ type: 'result', result }) + '\n');
+        } else {
+          sendJson(res, 200, result);
+        }
+      } catch (e) {
+        console.error(`[${new Date().toISOString()}] Error:`, e.message);
+        if (res.headersSent) {
+          res.end(JSON.stringify({ type: 'error', error: e.message, code: e.callStatus }) + '\n');
+        } else {
+          sendJson(res, 500, { error: e.message, code: e.callStatus });
+        }
+      } finally {
+        logListeners.delete(onLog);
+        requestListeners.delete(onRequest);
+      }
+      return;
+    }
+    
+    if (url.pathname === '/run' && req.method === 'POST') {
+      try {
+        const { steps, keepGoing, confirmed } = await readJsonBody(req);
+        
+        if (!multi && !(await connections[0].ensureConnected())) {
+          sendJson(res, 503, connections[0].notConnectedError());
+          return;
+        }
+        
+        // Confirm once for the whole script, before any step runs
+        if (!confirmed) {
+          const tools = [...new Set(steps.map(step => step.tool).filter((tool) => {
+            const target = resolveName(tool);
+            return target && policy.needsConfirmation(policyNames(target.conn, target.name));
+          }))];
+          if (tools.length > 0) {
+            sendJson(res, 403, {
+              error: `Script calls tools that require confirmation (confirmTools): ${tools.join(', ')}; pass --yes to run it`,
+              code: 'confirmation_required',
+              tools
+            });
+            return;
+          }
+        }
+        
+        // Cancel the running step and skip the rest if the CLI goes away
+        let current = null;
+        let aborted = false;
+        res.on('close', () => {
+          if (!res.writableFinished) {
+            aborted = true;
+            if (current) {
+              cancelCall(current, 'Client disconnected');
+            }
+          }
+        });
+        
+        const saved = {};
+        const results = [];
+        let failed = false;
+        
+        for (const step of steps) {
+          if ((failed && !keepGoing) || aborted) {
+            results.push({ tool: step.tool, saveAs: step.saveAs, status: 'skipped' });
+            continue;
+          }
+          
+          const startedAt = Date.now();
+          const entry = { tool: step.tool, saveAs: step.saveAs, status: 'ok' };
+          try {
+            entry.arguments = resolveReferences(step.arguments || {}, saved);
+            const target = resolveName(step.tool);
+            if (!target) {
+              throw new Error(unknownNameError('tool', step.tool).error);
+            }
+            const violation = policy.check(step.tool, policyNames(target.conn, target.name), entry.arguments, { confirmed: true });
+            if (violation) {
+              throw new Error(violation.error);
+            }
+            if (!(await target.conn.ensureConnected())) {
+              throw new Error(target.conn.notConnectedError().error);
+            }
+            entry.result = await executeCall(target, entry.arguments, {
+              timeout: step.timeout,
+              onStart: (call) => { current = call; }
+            });
+            if (entry.result.isError) {
+              entry.status = 'error';
+            }
+            if (step.saveAs) {
+              // `text` joins the text content so references do not need content indexes
+              const text = (entry.result.content || [])
+                .filter(item => item.type === 'text')
+                .map(item => item.text)
+                .join('\n');
+              saved[step.saveAs] = { ...entry.result, text };
+            }
+          } catch (e) {
+            entry.status = 'error';
+            entry.error = e.message;
+          }
+          current = null;
+          entry.durationMs = Date.now() - startedAt;
+          failed = failed || entry.status === 'error';
+          results.push(entry);
+        }
+        
+        sendJson(res, 200, { ok: !failed && !aborted, steps: results });
+      } catch (e) {
+        console.error(`[${new Date().toISOString()}] Error:`, e.message);
+        sendJson(res, 500, { error: e.message });
+      }
+      return;
+    }
+    
+    if (url.pathname === '/calls' && req.method === 'GET') {
+      const calls = [...inflightCalls.values()].map(({ id, tool, arguments: toolArgs, startedAt, timeout }) =>
+        ({ id, tool, arguments: toolArgs, startedAt, timeout }));
+      sendJson(res, 200, { calls });
+      return;
+    }
+    
+    if (url.pathname === '/cancel' && req.method === 'POST') {
+      try {
+        const { id, all } = await readJsonBody(req);
+        const targets = all ? [...inflightCalls.values()] : [inflightCalls.get(id)].filter(Boolean);
+        for (const call of targets) {
+          cancelCall(call, 'Cancelled by user');
+        }
+        sendJson(res, 200, { cancelled: targets.map(({ id, tool }) => ({ id, tool })) });
+      } catch (e) {
+        sendJson(res, 500, { error: e.message });
+      }
+      return;
+    }
+    
+    if (url.pathname === '/pending' && req.method === 'GET') {
+      sendJson(res, 200, { requests: [...pendingRequests.values()].map(({ request }) => request) });
+      return;
+    }
+    
+    if (url.pathname === '/respond' && req.method === 'POST') {
+      try {
+        const { id, action, content, result, text } = await readJsonBody(req);
+        const entry = pendingRequests.get(id);
+        if (!entry) {
+          sendJson(res, 404, { error: `No pending request ${id}` });
+          return;
+        }
+        if (!['accept', 'decline', 'cancel'].includes(action)) {
+          sendJson(res, 400, { error: `Invalid action '${action}' (expected accept, decline or cancel)` });
+          return;
+        }
+        
+        const { kind, params } = entry.request;
+        let answer = { action };
+        if (action === 'accept' && kind === 'sampling') {
+          if (!result && typeof text !== 'string') {
+            sendJson(res, 400, { error: 'Accepting a sampling request needs a reply text or result' });
+            return;
+          }
+          answer.result = { role: 'assistant', model: 'user', stopReason: 'endTurn', ...(result || { content: { type: 'text', text } }) };
+        } else if (action === 'accept' && params.mode !== 'url') {
+          const { valid, errorMessage } = new AjvJsonSchemaValidator().getValidator(params.requestedSchema)(content || {});
+          if (!valid) {
+            sendJson(res, 400, { error: `Invalid answer: ${errorMessage}` });
+            return;
+          }
+          answer.content = content || {};
+        }
+        
+        console.log(`[${new Date().toISOString()}] Request ${id} (${kind}) answered: ${action}`);
+        entry.settle(answer);
+        sendJson(res, 200, { id, action });
+      } catch (e) {
+        sendJson(res, 500, { error: e.message });
+      }
+      return;
+    }
+    
+    if (url.pathname === '/roots' && req.method === 'GET') {
+      sendJson(res, 200, { roots });
+      return;
+    }
+    
+    if (url.pathname === '/roots' && req.method === 'POST') {
+      try {
+        const { action, path: rootPath, name } = await readJsonBody(req);
+        if (!['add', 'remove'].includes(action) || typeof rootPath !== 'string') {
+          sendJson(res, 400, { error: 'Expected { action: "add" | "remove", path }' });
+          return;
+        }
+        
+        const uri = rootUri(rootPath);
+        const index = roots.findIndex(root => root.uri === uri);
+        if (action === 'add') {
+          if (!fs.existsSync(rootPath) || !fs.statSync(rootPath).isDirectory()) {
+            sendJson(res, 400, { error: `Not a directory: ${rootPath}` });
+            return;
+          }
+          const root = name ? { uri, name } : { uri };
+          if (index >= 0) {
+            roots[index] = root;
+          } else {
+            roots.push(root);
+          }
+        } else {
+          if (index < 0) {
+            sendJson(res, 404, { error: `No root ${uri}` });
+            return;
+          }
+          roots.splice(index, 1);
+        }
+        
+        console.log(`[${new Date().toISOString()}] Root ${action === 'add' ? 'added' : 'removed'}: ${uri}`);
+        notifyRootsChanged();
+        sendJson(res, 200, { roots });
+      } catch (e) {
+        sendJson(res, 500, { error: e.message });
+      }
+      return;
+    }
+    
+    if (url.pathname === '/prompts' && req.method === 'GET') {
+      if (!multi) {
+        const conn = connections[0];
+        if (!(await conn.ensureConnected())) {
+          sendJson(res, 503, conn.notConnectedError());
+          return;
+        }
+        
+        try {
+          const result = await conn.client.listPrompts();
+          sendJson(res, 200, result);
+        } catch (e) {
+          sendJson(res, 500, { error: e.message });
+        }
+        return;
+      }
+      
+      const { items, unavailable } = await collectFromServers('prompts', async (conn) => {
+        const { prompts } = await conn.client.listPrompts();
+        return prompts.map(prompt => ({ ...prompt, name: qualifiedName(conn, prompt.name) }));
+      });
+      sendJson(res, 200, unavailable.length > 0 ? { prompts: items, unavailable } : { prompts: items });
+      return;
+    }
+    
+    if (url.pathname === '/prompt' && req.method === 'POST') {
+      try {
+        const { prompt, arguments: promptArgs } = await readJsonBody(req);
+        
+        const target = resolveName(prompt, { allowAlias: false });
+        if (!target) {
+          sendJson(res, 404, unknownNameError('prompt', prompt));
+          return;
+        }
+        if (!(await target.conn.ensureConnected())) {
+          sendJson(res, 503, target.conn.notConnectedError());
+          return;
+        }
+        
+        console.log(`[${new Date().toISOString()}] Getting prompt: ${prompt}`, promptArgs);
+        
+        const result = await target.conn.client.getPrompt({ name: target.name, arguments: promptArgs });
+        sendJson(res, 200, result);
+      } catch (e) {
+        console.error(`[${new Date().toISOString()}] Error:`, e.message);
+        sendJson(res, 500, { error: e.message });
+      }
+      return;
+    }
+    
+    if (url.pathname === '/complete' && req.method === 'POST') {
+      try {
+        const params = await readJsonBody(req);
+        
+        let conn;
+        if (params.ref?.type === 'ref/prompt') {
+          const target = resolveName(params.ref.name, { allowAlias: false });
+          if (!target) {
+            sendJson(res, 404, unknownNameError('prompt', params.ref.name));
+            return;
+          }
+          conn = target.conn;
+          params.ref = { ...params.ref, name: target.name };
+        } else {
+          conn = await findResourceConnection(params.ref?.uri);
+          if (!conn) {
+            sendJson(res, 404, { error: `No server provides resource template '${params.ref?.uri}'` });
+            return;
+          }
+        }
+        
+        if (!(await conn.ensureConnected())) {
+          sendJson(res, 503, conn.notConnectedError());
+          return;
+        }
+        
+        if (!conn.client.getServerCapabilities()?.completions) {
+          sendJson(res, 400, { error: 'Server does not support argument completion' });
+          return;
+        }
+        
+        const result = await conn.client.complete(params);
+        sendJson(res, 200, result);
+      } catch (e) {
+        console.error(`[${new Date().toISOString()}] Error:`, e.message);
+        sendJson(res, 500, { error: e.message });
+      }
+      return;
+    }
+    
+    if ((url.pathname === '/resources' || url.pathname === '/resource-templates') && req.method === 'GET') {
+      const templates = url.pathname === '/resource-templates';
+      const list = async (conn) => (templates
+        ? (await conn.client.listResourceTemplates()).resourceTemplates
+        : (await conn.client.listResources()).resources);
+      
+      if (!multi) {
+        const conn = connections[0];
+        if (!(await conn.ensureConnected())) {
+          sendJson(res, 503, conn.notConnectedError());
+          return;
+        }
+        
+        try {
+          const result = templates ? await conn.client.listResourceTemplates() : await conn.client.listResources();
+          sendJson(res, 200, result);
+        } catch (e) {
+          sendJson(res, 500, { error: e.message });
+        }
+        return;
+      }
+      
+      // Each entry records which server it came from
+      const { items, unavailable } = await collectFromServers('resources', async (conn) =>
+        (await list(conn)).map(item => ({ ...item, server: conn.id })));
+      const key = templates ? 'resourceTemplates' : 'resources';
+      sendJson(res, 200, unavailable.length > 0 ? { [key]: items, unavailable } : { [key]: items });
+      return;
+    }
+    
+    if (url.pathname === '/read' && req.method === 'POST') {
+      try {
+        const { uri } = await readJsonBody(req);
+        
+        const conn = await findResourceConnection(uri);
+        if (!conn) {
+          sendJson(res, 404, { error: `No server provides resource '${uri}'` });
+          return;
+        }
+        if (!(await conn.ensureConnected())) {
+          sendJson(res, 503, conn.notConnectedError());
+          return;
+        }
+        
+        console.log(`[${new Date().toISOString()}] Reading resource: ${uri}`);
+        
+        const result = await conn.client.readResource({ uri });
+        sendJson(res, 200, result);
+      } catch (e) {
+        console.error(`[${new Date().toISOString()}] Error:`, e.message);
+        sendJson(res, 500, { error: e.message });
+      }
+      return;
+    }
+    
+    if (url.pathname === '/wait-resource' && req.method === 'POST') {
+      try {
+        const { uri } = await readJsonBody(req);
+        
+        const conn = await findResourceConnection(uri);
+        if (!conn) {
+          sendJson(res, 404, { error: `No server provides resource '${uri}'` });
+          return;
+        }
+        if (!(await conn.ensureConnected())) {
+          sendJson(res, 503, conn.notConnectedError());
+          return;
+        }
+        
+        if (!conn.client.getServerCapabilities()?.resources?.subscribe) {
+          sendJson(res, 400, { error: 'Server does not support resource subscriptions' });
+          return;
+        }
+        
+        // Register the waiter before subscribing so an immediate update is not missed.
+        // Resolves false when the CLI goes away first; the last one to go unsubscribes.
+        const updated = new Promise((resolve) => {
+          if (!conn.resourceWaiters.has(uri)) {
+            conn.resourceWaiters.set(uri, new Set());
+          }
+          const waiters = conn.resourceWaiters.get(uri);
+          waiters.add(resolve);
+          res.on('close', () => {
+            if (conn.resourceWaiters.get(uri) !== waiters || !waiters.delete(resolve)) {
+              return;
+            }
+            resolve(false);
+            if (waiters.size === 0) {
+              conn.resourceWaiters.delete(uri);
+              if (conn.subscribedUris.delete(uri)) {
+                console.log(`[${new Date().toISOString()}] Unsubscribing from resource: ${uri}`);
+                conn.client.unsubscribeResource({ uri }).catch(e => console.error(`[${new Date().toISOString()}] Failed to unsubscribe ${uri}:`, e.message));
+              }
+            }
+          });
+        });
+        
+        if (!conn.subscribedUris.has(uri)) {
+          console.log(`[${new Date().toISOString()}] Subscribing to resource: ${uri}`);
+          await conn.client.subscribeResource({ uri });
+          conn.subscribedUris.add(uri);
+        }
+        
+        if (await updated) {
+          sendJson(res, 200, { uri, updated: true });
+        }
+      } catch (e) {
+        console.error(`[${new Date().toISOString()}] Error:`, e.message);
+        sendJson(res, 500, { error: e.message });
+      }
+      return;
+    }
+    
+    res.writeHead(404);
+    res.end('Not Found');
+  });
+  
+  if (listen.socket) {
+    // A socket left by a crashed daemon would make listen() fail with EADDRINUSE
+    fs.rmSync(listen.socket, { force: true });
+    // Create the socket owner-only from the start, not chmod'ed after the fact
+    const previousUmask = process.umask(0o077);
+    server.listen(socketConnectPath(listen.socket), () => {
+      process.umask(previousUmask);
+      fs.chmodSync(listen.socket, 0o600);
+      console.log(`[${new Date().toISOString()}] Daemon listening on ${listen.socket}`);
+    });
+  } else {
+    server.listen(listen.port, 'localhost', () => {
+      console.log(`[${new Date().toISOString()}] Daemon listening on http://localhost:${listen.port} (TCP)`);
+    });
+  }
+  
+  // Handle shutdown: stop taking requests, let in-flight calls finish (cancel them after
+  // SHUTDOWN_GRACE), close the clients, then terminate what is left of our process group
+  const shutdown = async (reason) => {
+    if (shuttingDown) {
+      return;
+    }
+    shuttingDown = true;
+    console.log(`[${new Date().toISOString()}] Shutting down${reason ? ` (${reason})` : ''}...`);
+    
+    // Self-initiated shutdown: nobody ran `stop`, so drop our own sessions.json entry
+    if (reason) {
+      const entry = getSession(config, sessionName);
+      if (entry && entry.pid === process.pid) {
+        deleteSession(config, sessionName);
+      }
+    }
+    
+    server.close();
+    if (listen.socket) {
+      fs.rmSync(listen.socket, { force: true });
+    }
+    
+    if (inflightCalls.size > 0) {
+      console.log(`[${new Date().toISOString()}] Waiting for ${inflightCalls.size} call(s) to finish`);
+      await waitUntil(() => inflightCalls.size === 0, SHUTDOWN_GRACE);
+      for (const call of inflightCalls.values()) {
+        cancelCall(call, 'daemon shutting down');
+      }
+      await waitUntil(() => inflightCalls.size === 0, SHUTDOWN_GRACE);
+    }
+    
+    // Closes stdio servers through stdin, then SIGTERM, then SIGKILL (SDK)
+    await Promise.all(connections.map(conn => conn.client.close().catch((e) => {
+      console.error(`[${new Date().toISOString()}]${conn.id ? ` [${conn.id}]` : ''} Failed to close connection:`, e.message);
+    })));
+    
+    // Servers run through npx or a shell can leave grandchildren behind. They share the process
+    // group that `start` created for us; our own SIGTERM handler ignores this signal.
+    try {
+      process.kill(-process.pid, 'SIGTERM');
+    } catch (e) {
+      // Not a process group leader (daemon-run started by hand)
+    }
+    if (!(await waitUntil(() => listProcessGroup().length === 0, SHUTDOWN_KILL_GRACE))) {
+      const remaining = listProcessGroup();
+      console.error(`[${new Date().toISOString()}] Killing ${remaining.length} process(es) that ignored SIGTERM: ${remaining.join(', ')}`);
+      for (const pid of remaining) {
+        try {
+          process.kill(pid, 'SIGKILL');
+        } catch (e) {
+          // Exited meanwhile
+        }
+      }
+    }
+    console.log(`[${new Date().toISOString()}] Daemon stopped`);
+    process.exit(0);
+  };
+  
+  process.on('SIGTERM', () => shutdown());
+  process.on('SIGINT', () => shutdown());
+}
+
+// ============ Call History ============
+
+export const HISTORY_SUMMARY_LENGTH = 200;
+
+// Argument keys whose string values never reach the history file
+const SECRET_KEY_PATTERN = /(password|passwd|secret|token|api_?key|authorization|cookie|credential)s?$/i;
+
+/**
+ * Secret values from config (auth tokens, header values, env values) that are
+ * masked wherever they show up in recorded arguments. Short values are left
+ * alone so that flags like "1" do not mask unrelated text.
+ */
+function getConfigSecrets(config) {
+  const secrets = new Set();
+  for (const { config: server } of getServerConfigs(config)) {
+    const values = [
+      server.auth?.token,
+      server.auth?.clientSecret,
+      ...Object.values(server.headers || {}),
+      ...Object.values(server.env || {})
+    ];
+    for (const value of values) {
+      if (typeof value === 'string' && value.length >= 8) {
+        secrets.add(value);
+      }
+    }
+  }
+  return [...secrets];
+}
+
+export function redactArguments(args, secrets) {
+  let redacted = false;
+  const visit = (value, key) => {
+    if (typeof value === 'string') {
+      if (key && SECRET_KEY_PATTERN.test(key.replace(/-/g, '_'))) {
+        redacted = true;
+        return '[REDACTED]';
+      }
+      const text = maskSecrets(value, secrets);
+      redacted = redacted || text !== value;
+      return text;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => visit(item, key));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, visit(v, k)]));
+    }
+    return value;
+  };
+  return { value: visit(args ?? {}, null), redacted };
+}
+
+function maskSecrets(text, secrets) {
+  return secrets.reduce((masked, secret) => masked.split(secret).join('[REDACTED]'), text);
+}
+
+/**
+ * One-line summary of a tool result. `complete` is false when the summary
+ * leaves something out (long text, images, ...), so the full result is saved.
+ */
+function summarizeResult(result) {
+  const parts = [];
+  let complete = true;
+  for (const item of result.content || []) {
+    if (item.type === 'text') {
+      parts.push(item.text);
+    } else {
+      complete = false;
+      parts.push(`[${item.type}${item.mimeType ? ` ${item.mimeType}` : ''}${item.resource?.uri ? ` ${item.resource.uri}` : ''}]`);
+    }
+  }
+  if (parts.length === 0 && result.structuredContent) {
+    parts.push(JSON.stringify(result.structuredContent));
+  }
+  let summary = parts.join(' ').replace(/\s+/g, ' ').trim();
+  if (summary.length > HISTORY_SUMMARY_LENGTH) {
+    summary = `${summary.slice(0, HISTORY_SUMMARY_LENGTH)}...`;
+    complete = false;
+  }
+  return { summary, complete };
+}
+
+// ============ Scripts ============
+
+/**
+ * Replace ${name.path} references in step arguments with values from earlier
+ * results saved via `saveAs`. A string that is exactly one reference takes the
+ * referenced value as-is; references inside longer strings are interpolated.
+ * `${name.path | match:<regex>}` yields the first capture group (or whole match).
+ * `$${` escapes a literal `${`.
+ */
+export function resolveReferences(value, saved) {
+  if (Array.isArray(value)) {
+    return value.map(item => resolveReferences(item, saved));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveReferences(v, saved)]));
+  }
+  if (typeof value !== 'string' || !value.includes('${')) {
+    return value;
+  }
+  
+  const parts = [];
+  let i = 0;
+  while (i < value.length) {
+    const start = value.indexOf('${', i);
+    if (start === -1) {
+      parts.push(value.substring(i));
+      break;
+    }
+    if (start > 0 && value[start - 1] === '$') {
+      parts.push(value.substring(i, start - 1), '${');
+      i = start + 2;
+      continue;
+    }
+    parts.push(value.substring(i, start));
+    
+    // Find the matching brace so regexes like \w{2} survive
+    let depth = 1;
+    let end = start + 2;
+    while (end < value.length && depth > 0) {
+      if (value[end] === '{') depth++;
+      if (value[end] === '}') depth--;
+      end++;
+    }
+    if (depth > 0) {
+      throw new Error(`Unterminated reference in ${JSON.stringify(value)}`);
+    }
+    parts.push({ expression: value.substring(start + 2, end - 1) });
+    i = end;
+  }
+  
+  const refs = parts.filter(part => typeof part === 'object');
+  if (refs.length === 1 && parts.every(part => part === refs[0] || part === '')) {
+    return evaluateReference(refs[0].expression, saved);
+  }
+  return parts.map(part => {
+    if (typeof part === 'string') {
+      return part;
+    }
+    const resolved = evaluateReference(part.expression, saved);
+    return typeof resolved === 'string' ? resolved : JSON.stringify(resolved);
+  }).join('');
+}
+
+function evaluateReference(expression, saved) {
+  const pipeIndex = expression.indexOf('|');
+  const refPath = (pipeIndex === -1 ? expression : expression.substring(0, pipeIndex)).trim();
+  const filter = pipeIndex === -1 ? null : expression.substring(pipeIndex + 1).trim();
+  
+  const segments = refPath.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+  const [name, ...rest] = segments;
+  if (!(name in saved)) {
+    throw new Error(`Unknown reference '${name}' (no earlier step has saveAs: ${name})`);
+  }
+  
+  let current = saved[name];
+  for (const segment of rest) {
+    if (current === null || current === undefined || !(segment in Object(current))) {
+      throw new Error(`Reference '${refPath}' not found`);
+    }
+    current = current[segment];
+  }
+  
+  if (filter === null) {
+    return current;
+  }
+  if (!filter.startsWith('match:')) {
+    throw new Error(`Unknown filter '${filter}' in reference '${expression}'`);
+  }
+  const match = new RegExp(filter.substring('match:'.length)).exec(String(current));
+  if (!match) {
+    throw new Error(`Reference '${refPath}' does not match ${filter.substring('match:'.length)}`);
+  }
+  return match[1] ?? match[0];
+}
+
+// ============ Tool Listing ============
+
+// tools/list is paginated; follow nextCursor until the server has sent every page
+async function listAllTools(client) {
+  const tools = [];
+  let cursor;
+  do {
+    const result = await client.listTools(cursor ? { cursor } : undefined);
+    tools.push(...result.tools);
+    cursor = result.nextCursor;
+  } while (cursor);
+  return tools;
+}
+
+// ============ Roots ============
+
+// `roots` entries are paths (relative to the config file) or { path, name };
+// without them the session advertises the directory the daemon was started in
+function getConfigRoots(config) {
+  const entries = config.roots || [process.cwd()];
+  return entries.map((entry) => {
+    const { path: rootPath, name } = typeof entry === 'string' ? { path: entry } : entry;
+    const uri = rootUri(path.resolve(config._configDir || process.cwd(), rootPath));
+    return name ? { uri, name } : { uri };
+  });
+}
+
+// Roots are identified by URI; `roots remove` also accepts the URI itself
+function rootUri(rootPath) {
+  return rootPath.startsWith('file:') ? rootPath : pathToFileURL(path.resolve(rootPath)).href;
+}
+
+// ============ Server Requests ============
+
+// Error code for a declined sampling request (MCP spec: "User rejected sampling request")
+const SAMPLING_REJECTED = -1;
+
+// Last message of a sampling request, shortened for logs
+function describeMessages(messages = []) {
+  const content = messages[messages.length - 1]?.content;
+  const text = [content].flat().map(item => (item?.type === 'text' ? item.text : `[${item?.type}]`)).join(' ');
+  return text.length > 100 ? `${text.slice(0, 100)}...` : text;
+}
+
+/**
+ * Answer a sampling request with a local command. The request params go to
+ * its stdin as JSON; stdout is a CreateMessageResult JSON object or just the
+ * reply text.
+ */
+function runSamplingCommand(settings, params, signal) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(settings.command, settings.args || [], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      signal,
+      timeout: settings.timeout !== undefined ? parseDuration(settings.timeout) : undefined
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => stdout += chunk);
+    child.stderr.on('data', chunk => stderr += chunk);
+    child.on('error', (e) => reject(new Error(`Sampling command failed: ${e.message}`)));
+    child.on('close', (code, exitSignal) => {
+      if (code !== 0) {
+        const detail = stderr.trim() ? `: ${stderr.trim()}` : '';
+        reject(new Error(`Sampling command exited with ${code ?? exitSignal}${detail}`));
+        return;
+      }
+      const output = tryParseJson(stdout);
+      const reply = output?.content ? output : { content: { type: 'text', text: stdout.trimEnd() } };
+      resolve({ role: 'assistant', model: path.basename(settings.command), stopReason: 'endTurn', ...reply });
+    });
+    // The command may exit without reading its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(params) + '\n');
+  });
+}
+
+// ============ Transports ============
+
+export function createTransport(config, kind = config.transport) {
+  if (kind === 'replay') {
+    return new ReplayTransport(config);
+  }
+  if (kind === 'stdio') {
+    return new StdioClientTransport({
+      command: config.command,
+      args: config.args || [],
+      env: { ...process.env, ...config.env },
+      stderr: 'pipe'
+    });
+  }
+  
+  const options = {
+    requestInit: { headers: getHttpHeaders(config) },
+    authProvider: config.auth && config.auth.type !== 'bearer' ? new OAuthProvider(config) : undefined
+  };
+  if (kind === 'http') {
+    return new StreamableHTTPClientTransport(new URL(config.url), options);
+  }
+  if (kind === 'sse') {
+    return new SSEClientTransport(new URL(config.url), options);
+  }
+  throw new ConfigError(`Unknown transport: ${kind}`);
+}
+
+function getHttpHeaders(config) {
+  const headers = { ...config.headers };
+  if (config.auth?.type === 'bearer') {
+    headers.Authorization = `Bearer ${config.auth.token}`;
+  }
+  return headers;
+}
+
+// Servers that only speak the deprecated SSE transport answer the initial
+// POST with a 4xx; auth failures must not be mistaken for that
+export function shouldFallbackToSse(error) {
+  return error instanceof StreamableHTTPError &&
+    error.code >= 400 && error.code < 500 && error.code !== 401 && error.code !== 403;
+}
+
+/**
+ * Resolve the timeout (ms) for a call: --timeout, then toolTimeouts[tool],
+ * then callTimeout. Returns null to use the SDK default.
+ */
+function getCallTimeout(config, tool, requested) {
+  const value = requested ?? config.toolTimeouts?.[tool] ?? config.callTimeout;
+  return value !== undefined && value !== null ? parseDuration(value) : null;
+}
+
+function getReconnectOptions(config) {
+  const options = config.reconnect || {};
+  return {
+    maxAttempts: options.maxAttempts ?? 5,
+    backoff: parseDuration(options.backoff ?? '1s'),
+    maxBackoff: parseDuration(options.maxBackoff ?? '30s'),
+    waitTimeout: parseDuration(options.waitTimeout ?? '30s')
+  };
+}
+
+function isConnectionError(error) {
+  const code = error.code || error.cause?.code;
+  return ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'UND_ERR_SOCKET'].includes(code) ||
+    error.message === 'fetch failed';
+}
+
+// ============ Record / Replay ============
+
+/**
+ * Collects request/response pairs from RecordingTransports into a fixture file,
+ * rewritten after every exchange so a crashed daemon still leaves a usable file.
+ */
+function createFixtureRecorder(fixturePath) {
+  const fixture = { version: 1, recordedAt: new Date().toISOString(), exchanges: [] };
+  const write = () => fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2) + '\n', { mode: 0o600 });
+  write();
+  return {
+    add: (exchange) => {
+      fixture.exchanges.push(exchange);
+      try {
+        write();
+      } catch (e) {
+        console.error(`[${new Date().toISOString()}] Could not write fixture ${fixturePath}:`, e.message);
+      }
+    }
+  };
+}
+
+/**
+ * Wraps a transport and hands each answered request to the recorder.
+ * Notifications and server-initiated requests pass through unrecorded.
+ */
+class RecordingTransport {
+  constructor(inner, recorder, serverId) {
+    this._inner = inner;
+    this._recorder = recorder;
+    this._serverId = serverId;
+    this._pending = new Map();
+  }
+  
+  get sessionId() {
+    return this._inner.sessionId;
+  }
+  
+  setProtocolVersion(version) {
+    this._inner.setProtocolVersion?.(version);
+  }
+  
+  async start() {
+    this._inner.onmessage = (message, extra) => {
+      if (message.id !== undefined && !message.method && this._pending.has(message.id)) {
+        const request = this._pending.get(message.id);
+        this._pending.delete(message.id);
+        this._recorder.add({
+          ...(this._serverId ? { server: this._serverId } : {}),
+          method: request.method,
+          params: request.params,
+          ...(message.error ? { error: message.error } : { result: message.result })
+        });
+      }
+      this.onmessage?.(message, extra);
+    };
+    this._inner.onclose = () => this.onclose?.();
+    this._inner.onerror = (error) => this.onerror?.(error);
+    await this._inner.start();
+  }
+  
+  async send(message, options) {
+    if (message.method && message.id !== undefined) {
+      this._pending.set(message.id, message);
+    }
+    await this._inner.send(message, options);
+  }
+  
+  async close() {
+    await this._inner.close();
+  }
+}
+
+/**
+ * Answers requests from a fixture recorded with `start --record`, without
+ * starting a server. tools/call matches on tool name and arguments (minus
+ * `ignoreArguments` paths), or on the name alone with `"match": "tool"`.
+ * Other requests match on method and params; initialize takes the first
+ * recorded answer. Repeated matches are served in recorded order, and the
+ * last one is repeated once they run out.
+ */
+class ReplayTransport {
+  constructor(config) {
+    this.fixturePath = path.resolve(config._configDir || process.cwd(), config.fixture);
+    let fixture;
+    try {
+      fixture = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+    } catch (e) {
+      throw new ConfigError(`Cannot read fixture ${this.fixturePath}: ${e.message}`);
+    }
+    if (!Array.isArray(fixture.exchanges)) {
+      throw new ConfigError(`Fixture ${this.fixturePath} has no "exchanges" list`);
+    }
+    // Fixtures recorded from several servers tag each exchange with its server
+    this._exchanges = fixture.exchanges.filter(exchange => !exchange.server || !config._serverId || exchange.server === config._serverId);
+    this._match = config.match || 'arguments';
+    this._ignoreArguments = config.ignoreArguments || [];
+    this._served = new Map();
+  }
+  
+  async start() {}
+  
+  async send(message) {
+    // Notifications and our answers to server requests need no reply
+    if (!message.method || message.id === undefined) {
+      return;
+    }
+    const reply = { jsonrpc: '2.0', id: message.id, ...this._answer(message) };
+    setImmediate(() => this.onmessage?.(reply));
+  }
+  
+  async close() {
+    this.onclose?.();
+  }
+  
+  _answer(request) {
+    const { method } = request;
+    const recorded = this._exchanges.filter(exchange => exchange.method === method);
+    let key;
+    let candidates;
+    if (method === 'initialize') {
+      key = method;
+      candidates = recorded.slice(0, 1);
+    } else if (method === 'tools/call') {
+      const name = request.params?.name;
+      const args = this._match === 'tool' ? null : this._argumentKey(request.params?.arguments);
+      key = `${method} ${name} ${args}`;
+      candidates = recorded.filter(exchange => exchange.params?.name === name &&
+        (args === null || this._argumentKey(exchange.params?.arguments) === args));
+    } else {
+      const params = canonicalJson(withoutMeta(request.params));
+      key = `${method} ${params}`;
+      candidates = recorded.filter(exchange => canonicalJson(withoutMeta(exchange.params)) === params);
+    }
+    
+    if (candidates.length === 0) {
+      if (method === 'ping' || method === 'logging/setLevel') {
+        return { result: {} };
+      }
+      const what = method === 'tools/call' ? `tools/call ${request.params?.name} with these arguments` : method;
+      return {
+        error: {
+          code: recorded.length === 0 ? ErrorCode.MethodNotFound : ErrorCode.InvalidParams,
+          message: `No recorded response for ${what} in ${this.fixturePath}`
+        }
+      };
+    }
+    const served = this._served.get(key) || 0;
+    this._served.set(key, served + 1);
+    const exchange = candidates[Math.min(served, candidates.length - 1)];
+    return exchange.error ? { error: exchange.error } : { result: exchange.result };
+  }
+  
+  _argumentKey(args) {
+    const copy = JSON.parse(JSON.stringify(args ?? {}));
+    for (const argPath of this._ignoreArguments) {
+      const keys = argPath.split('.');
+      const parent = keys.slice(0, -1).reduce((current, key) => current?.[key], copy);
+      if (parent && typeof parent === 'object') {
+        delete parent[keys[keys.length - 1]];
+      }
+    }
+    return canonicalJson(copy);
+  }
+}
+
+// _meta carries per-request data such as progress tokens
+function withoutMeta(params) {
+  if (!params || typeof params !== 'object') {
+    return params ?? {};
+  }
+  const rest = { ...params };
+  delete rest._meta;
+  return rest;
+}
+
+// JSON with object keys sorted, for comparing values regardless of key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// ============ Tool Policy ============
+
+/**
+ * allowTools / denyTools / confirmTools / argumentRules from config. Tools
+ * are matched by every name they go by (full name and alias).
+ */
+export function createToolPolicy(config) {
+  const compile = (patterns) => (patterns || []).map(pattern => ({ pattern, regex: globToRegExp(pattern) }));
+  const allow = config.allowTools ? compile(config.allowTools) : null;
+  const deny = compile(config.denyTools);
+  const confirm = compile(config.confirmTools);
+  const rules = Object.entries(config.argumentRules || {}).map(([pattern, args]) => ({ regex: globToRegExp(pattern), args }));
+  const firstMatch = (compiled, names) => compiled.find(({ regex }) => names.some(name => regex.test(name)));
+  
+  const accessError = (tool, names) => {
+    const denied = firstMatch(deny, names);
+    if (denied) {
+      return `Tool '${tool}' is blocked by denyTools pattern '${denied.pattern}'`;
+    }
+    if (allow && !firstMatch(allow, names)) {
+      return `Tool '${tool}' is not in allowTools`;
+    }
+    return null;
+  };
+  
+  return {
+    isVisible: (names) => accessError('', names) === null,
+    
+    needsConfirmation: (names) => !!firstMatch(confirm, names),
+    
+    // null when the call may go ahead, else { error, code }
+    check: (tool, names, args, { confirmed = false } = {}) => {
+      const error = accessError(tool, names);
+      if (error) {
+        return { error, code: 'denied' };
+      }
+      for (const rule of rules.filter(({ regex }) => names.some(name => regex.test(name)))) {
+        for (const [argPath, argRule] of Object.entries(rule.args)) {
+          const value = argPath.split('.').reduce((current, key) => current?.[key], args);
+          const problem = checkArgumentRule(value, argRule);
+          if (problem) {
+            return { error: `Argument '${argPath}' of ${tool}: ${problem}`, code: 'denied' };
+          }
+        }
+      }
+      if (!confirmed && firstMatch(confirm, names)) {
+        return { error: `Tool '${tool}' requires confirmation (confirmTools); pass --yes to call it`, code: 'confirmation_required' };
+      }
+      return null;
+    }
+  };
+}
+
+function checkArgumentRule(value, rule) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  for (const item of Array.isArray(value) ? value : [value]) {
+    const text = typeof item === 'string' ? item : JSON.stringify(item);
+    if (rule.deny?.some(pattern => globToRegExp(pattern).test(text))) {
+      return `'${text}' is denied (deny: ${rule.deny.join(', ')})`;
+    }
+    if (rule.allow && !rule.allow.some(pattern => globToRegExp(pattern).test(text))) {
+      return `'${text}' is not allowed (allow: ${rule.allow.join(', ')})`;
+    }
+    if (rule.domains) {
+      let hostname;
+      try {
+        hostname = new URL(text).hostname.toLowerCase();
+      } catch (e) {
+        return `'${text}' is not a URL (domains: ${rule.domains.join(', ')})`;
+      }
+      if (!rule.domains.some(pattern => globToRegExp(pattern.toLowerCase()).test(hostname))) {
+        return `'${text}' is not on an allowed domain (domains: ${rule.domains.join(', ')})`;
+      }
+    }
+  }
+  return null;
+}
+
+// ============ Utilities ============
+
+// Live processes in the daemon's process group other than the daemon itself
+function listProcessGroup() {
+  const ps = spawnSync('ps', ['-A', '-o', 'pid=,pgid=,stat='], { encoding: 'utf8' });
+  if (ps.status !== 0) {
+    return [];
+  }
+  return ps.stdout.trim().split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .filter(([pid, pgid, stat]) => Number(pgid) === process.pid && Number(pid) !== process.pid && Number(pid) !== ps.pid && !stat?.startsWith('Z'))
+    .map(([pid]) => Number(pid));
+}
+
+// Resolves false if `condition()` still does not hold after `timeout` ms
+async function waitUntil(condition, timeout) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await sleep(100);
+  }
+  return true;
+}
+
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data, null, 2));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (e) {
+        reject(e);
+      }
+    });
+    req.on('error', reject);
+  });
+}
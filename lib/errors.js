@@ -0,0 +1,86 @@
+/**
+ * Errors thrown by mcp-skill-client. `code` is a stable string to branch on;
+ * messages are meant for people.
+ */
+
+export class SkillClientError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = new.target.name;
+    this.code = code;
+  }
+}
+
+// Invalid or unreadable config; `errors` lists every problem found
+export class ConfigError extends SkillClientError {
+  constructor(message, errors = [message]) {
+    super(message, 'invalid_config');
+    this.errors = errors;
+  }
+}
+
+export class SessionNotRunningError extends SkillClientError {
+  constructor(session) {
+    super(`Session '${session}' not running. Start it first.`, 'session_not_running');
+    this.session = session;
+  }
+}
+
+// `logTail` holds the last lines of daemon.log when the daemon got far enough to write it
+export class DaemonStartError extends SkillClientError {
+  constructor(message, logFile, logTail = null) {
+    super(message, 'start_failed');
+    this.logFile = logFile;
+    this.logTail = logTail;
+  }
+}
+
+// A request the daemon answered with an error; `status` is the HTTP status
+export class DaemonError extends SkillClientError {
+  constructor(message, code = 'daemon_error', status = 500) {
+    super(message, code);
+    this.status = status;
+  }
+}
+
+export class UnauthorizedError extends DaemonError {
+  constructor() {
+    super('Daemon rejected the session token. Restart the session.', 'unauthorized', 401);
+  }
+}
+
+// Unknown tool, prompt or resource
+export class NotFoundError extends DaemonError {
+  constructor(message) {
+    super(message, 'not_found', 404);
+  }
+}
+
+// The MCP server is not connected; `unavailable` lists failed servers in multi-server sessions
+export class ServerUnavailableError extends DaemonError {
+  constructor(message, unavailable = null) {
+    super(message, 'server_unavailable', 503);
+    this.unavailable = unavailable;
+  }
+}
+
+// Refused by allowTools/denyTools/argumentRules (code 'denied') or confirmTools
+// (code 'confirmation_required'; `tools` names the tools to confirm)
+export class PolicyError extends DaemonError {
+  constructor(message, code, tools = null) {
+    super(message, code, 403);
+    this.tools = tools;
+  }
+}
+
+export class CallTimeoutError extends DaemonError {
+  constructor(message) {
+    super(message, 'timeout');
+  }
+}
+
+export class CallCancelledError extends DaemonError {
+  constructor(message) {
+    super(message, 'cancelled');
+  }
+}
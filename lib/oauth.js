@@ -0,0 +1,219 @@
+/**
+ * OAuth for http/sse servers: token storage, `auth login` and the SDK
+ * OAuthClientProvider used by the daemon's transports.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+
+import { auth as authorizeOAuth } from '@modelcontextprotocol/sdk/client/auth.js';
+
+import { getSessionDir } from './session.js';
+import { formatDuration } from './util.js';
+
+// Redirect URI for `auth login` is http://127.0.0.1:<port>/callback
+const DEFAULT_OAUTH_CALLBACK_PORT = 8976;
+
+const OAUTH_LOGIN_TIMEOUT = 5 * 60 * 1000;
+
+export function getOAuthFile(config) {
+  const file = config._serverId ? `oauth-${config._serverId}.json` : 'oauth.json';
+  return path.join(getSessionDir(config), file);
+}
+
+export function loadOAuthState(config) {
+  const oauthFile = getOAuthFile(config);
+  if (fs.existsSync(oauthFile)) {
+    try {
+      return JSON.parse(fs.readFileSync(oauthFile, 'utf8'));
+    } catch (e) {
+      return {};
+    }
+  }
+  return {};
+}
+
+export function saveOAuthState(config, state) {
+  const oauthFile = getOAuthFile(config);
+  fs.writeFileSync(oauthFile, JSON.stringify(state, null, 2), { mode: 0o600 });
+  fs.chmodSync(oauthFile, 0o600);
+}
+
+// Interactive authorization code flow; onRedirect(url) shows the user where to log in
+export async function oauthLogin(config, { onRedirect }) {
+  const serverUrl = new URL(config.url);
+  const provider = new OAuthProvider(config, { onRedirect });
+  provider.invalidateCredentials('tokens');
+  
+  const callback = await listenForOAuthCallback(new URL(provider.redirectUrl), provider);
+  try {
+    const result = await authorizeOAuth(provider, { serverUrl, scope: config.auth.scope });
+    if (result === 'AUTHORIZED') {
+      return;
+    }
+    const code = await callback.code;
+    await authorizeOAuth(provider, { serverUrl, scope: config.auth.scope, authorizationCode: code });
+  } finally {
+    callback.close();
+  }
+}
+
+// Local HTTP server that receives the authorization code on the redirect URI
+async function listenForOAuthCallback(redirectUrl, provider) {
+  let resolveCode;
+  let rejectCode;
+  const code = new Promise((resolve, reject) => {
+    resolveCode = resolve;
+    rejectCode = reject;
+  });
+  
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, redirectUrl);
+    if (url.pathname !== redirectUrl.pathname) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    if (url.searchParams.get('error')) {
+      res.end('Authorization failed. You can close this window.');
+      rejectCode(new Error(`Authorization failed: ${url.searchParams.get('error_description') || url.searchParams.get('error')}`));
+    } else if (url.searchParams.get('state') !== provider.expectedState) {
+      res.end('Authorization failed. You can close this window.');
+      rejectCode(new Error('Authorization failed: state mismatch'));
+    } else {
+      res.end('Authorization complete. You can close this window.');
+      resolveCode(url.searchParams.get('code'));
+    }
+  });
+  
+  await new Promise((resolve, reject) => {
+    server.once('error', (e) => reject(e.code === 'EADDRINUSE'
+      ? new Error(`Port ${redirectUrl.port} is in use; set auth.callbackPort to a free port`)
+      : e));
+    server.listen(Number(redirectUrl.port), redirectUrl.hostname, resolve);
+  });
+  
+  const timer = setTimeout(() => rejectCode(new Error(`No authorization received within ${formatDuration(OAUTH_LOGIN_TIMEOUT)}`)), OAUTH_LOGIN_TIMEOUT);
+  return {
+    code,
+    close: () => {
+      clearTimeout(timer);
+      server.close();
+    }
+  };
+}
+
+/**
+ * OAuthClientProvider for the SDK's auth() flow. client_credentials tokens
+ * live in memory; the authorization-code flow keeps tokens and the
+ * registered client in .<name>/oauth.json so daemons can use and refresh
+ * what `auth login` obtained.
+ */
+export class OAuthProvider {
+  constructor(config, { onRedirect } = {}) {
+    this.config = config;
+    this.options = config.auth;
+    this.onRedirect = onRedirect;
+    this.memory = {};
+    this.expectedState = null;
+    this.verifier = null;
+    
+    // The SDK uses prepareTokenRequest() when present, so only define it for client_credentials
+    if (this.options.type === 'client_credentials') {
+      this.prepareTokenRequest = (scope) => {
+        const params = new URLSearchParams({ grant_type: 'client_credentials' });
+        if (scope) {
+          params.set('scope', scope);
+        }
+        return params;
+      };
+    }
+  }
+  
+  get persistent() {
+    return this.options.type === 'oauth';
+  }
+  
+  get redirectUrl() {
+    if (!this.persistent) {
+      return undefined;
+    }
+    return `http://127.0.0.1:${this.options.callbackPort ?? DEFAULT_OAUTH_CALLBACK_PORT}/callback`;
+  }
+  
+  get clientMetadata() {
+    return {
+      client_name: 'mcp-skill-client',
+      redirect_uris: this.persistent ? [this.redirectUrl] : [],
+      grant_types: this.persistent ? ['authorization_code', 'refresh_token'] : ['client_credentials'],
+      response_types: this.persistent ? ['code'] : [],
+      token_endpoint_auth_method: this.options.clientSecret ? 'client_secret_basic' : 'none',
+      scope: this.options.scope
+    };
+  }
+  
+  load() {
+    return this.persistent ? loadOAuthState(this.config) : this.memory;
+  }
+  
+  save(update) {
+    if (this.persistent) {
+      saveOAuthState(this.config, { ...loadOAuthState(this.config), ...update });
+    } else {
+      Object.assign(this.memory, update);
+    }
+  }
+  
+  state() {
+    this.expectedState = crypto.randomBytes(16).toString('hex');
+    return this.expectedState;
+  }
+  
+  clientInformation() {
+    if (this.options.clientId) {
+      return { client_id: this.options.clientId, client_secret: this.options.clientSecret };
+    }
+    return this.load().client;
+  }
+  
+  saveClientInformation(client) {
+    this.save({ client });
+  }
+  
+  tokens() {
+    return this.load().tokens;
+  }
+  
+  saveTokens(tokens) {
+    this.save({ tokens, savedAt: Date.now() });
+  }
+  
+  redirectToAuthorization(url) {
+    if (!this.onRedirect) {
+      const server = this.config._serverId ? ` ${this.config._serverId}` : '';
+      throw new Error(`OAuth login required: run 'mcp-skill-client --config ${this.config._configPath} auth login${server}'`);
+    }
+    this.onRedirect(url);
+  }
+  
+  saveCodeVerifier(verifier) {
+    this.verifier = verifier;
+  }
+  
+  codeVerifier() {
+    return this.verifier;
+  }
+  
+  invalidateCredentials(scope) {
+    if (scope === 'all' || scope === 'client') {
+      this.save({ client: undefined });
+    }
+    if (scope === 'all' || scope === 'tokens') {
+      this.save({ tokens: undefined, savedAt: undefined });
+    }
+  }
+}
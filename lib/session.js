@@ -0,0 +1,421 @@
+/**
+ * Per-session state under ./.<name>/ (sessions.json, tokens, sockets, logs,
+ * call history) and authenticated requests to session daemons.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import net from 'node:net';
+import path from 'node:path';
+
+import {
+  CallCancelledError,
+  CallTimeoutError,
+  DaemonError,
+  NotFoundError,
+  PolicyError,
+  ServerUnavailableError,
+  SkillClientError,
+  UnauthorizedError
+} from './errors.js';
+import { globToRegExp, parseDuration, tryParseJson } from './util.js';
+
+// Passes the session token to the daemon without exposing it in argv
+export const TOKEN_ENV = 'MCP_SKILL_CLIENT_TOKEN';
+
+// sun_path is 108 bytes on Linux and 104 on macOS
+const MAX_SOCKET_PATH = 100;
+
+export function getSessionDir(config) {
+  // State dir is ./<skill-name>/ in current working directory
+  return ensurePrivateDir(path.join(process.cwd(), `.${config.name}`));
+}
+
+// Session state holds sockets, tokens, logs and tool output: owner-only
+function ensurePrivateDir(dir) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  // mode only applies when the directory is created
+  fs.chmodSync(dir, 0o700);
+  return dir;
+}
+
+function getSessionsFile(config) {
+  return path.join(getSessionDir(config), 'sessions.json');
+}
+
+export function loadSessions(config) {
+  const sessionsFile = getSessionsFile(config);
+  if (fs.existsSync(sessionsFile)) {
+    try {
+      return JSON.parse(fs.readFileSync(sessionsFile, 'utf8'));
+    } catch (e) {
+      return {};
+    }
+  }
+  return {};
+}
+
+function saveSessions(config, sessions) {
+  const sessionsFile = getSessionsFile(config);
+  fs.writeFileSync(sessionsFile, JSON.stringify(sessions, null, 2), { mode: 0o600 });
+}
+
+export function getSession(config, sessionName) {
+  const sessions = loadSessions(config);
+  if (!sessions[sessionName]) {
+    return null;
+  }
+  // The token lives in a separate owner-only file; attach it for daemon requests
+  return { ...sessions[sessionName], token: loadTokens(config)[sessionName] || null };
+}
+
+export function setSession(config, sessionName, data) {
+  const sessions = loadSessions(config);
+  sessions[sessionName] = data;
+  saveSessions(config, sessions);
+}
+
+export function deleteSession(config, sessionName) {
+  const sessions = loadSessions(config);
+  delete sessions[sessionName];
+  saveSessions(config, sessions);
+  
+  const tokens = loadTokens(config);
+  if (sessionName in tokens) {
+    delete tokens[sessionName];
+    saveTokens(config, tokens);
+  }
+}
+
+function getTokensFile(config) {
+  return path.join(getSessionDir(config), 'tokens.json');
+}
+
+function loadTokens(config) {
+  const tokensFile = getTokensFile(config);
+  if (fs.existsSync(tokensFile)) {
+    try {
+      return JSON.parse(fs.readFileSync(tokensFile, 'utf8'));
+    } catch (e) {
+      return {};
+    }
+  }
+  return {};
+}
+
+function saveTokens(config, tokens) {
+  const tokensFile = getTokensFile(config);
+  fs.writeFileSync(tokensFile, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+  // mode only applies when the file is created
+  fs.chmodSync(tokensFile, 0o600);
+}
+
+export function createSessionToken(config, sessionName) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const tokens = loadTokens(config);
+  tokens[sessionName] = token;
+  saveTokens(config, tokens);
+  return token;
+}
+
+export function getSocketPath(config, sessionName) {
+  return path.join(getSessionDir(config), sessionName, 'daemon.sock');
+}
+
+// Long absolute socket paths do not fit in sun_path; daemon and CLI share the
+// cwd (session state is cwd-relative), so fall back to a relative path
+export function socketConnectPath(socketPath) {
+  return socketPath.length > MAX_SOCKET_PATH ? path.relative(process.cwd(), socketPath) : socketPath;
+}
+
+export function getOutputDir(config, sessionName, outputDir) {
+  if (outputDir) {
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+    return outputDir;
+  }
+  ensurePrivateDir(path.join(getSessionDir(config), sessionName));
+  return ensurePrivateDir(path.join(getSessionDir(config), sessionName, 'output'));
+}
+
+export function getShellHistoryFile(config, sessionName) {
+  return path.join(ensurePrivateDir(path.join(getSessionDir(config), sessionName)), 'shell_history');
+}
+
+export function getHistoryFile(config, sessionName) {
+  return path.join(ensurePrivateDir(path.join(getSessionDir(config), sessionName)), 'history.jsonl');
+}
+
+export function getLogFile(config, sessionName) {
+  return path.join(ensurePrivateDir(path.join(getSessionDir(config), sessionName)), 'daemon.log');
+}
+
+// ============ Port Management ============
+
+async function isPortAvailable(port) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.once('error', () => resolve(false));
+    server.once('listening', () => {
+      server.close();
+      resolve(true);
+    });
+    server.listen(port, 'localhost');
+  });
+}
+
+export async function findAvailablePort(config, startPort = 8940) {
+  const sessions = loadSessions(config);
+  const usedPorts = new Set(Object.values(sessions).map(s => s.port).filter(Boolean));
+  
+  let port = startPort;
+  while (port < startPort + 1000) {
+    if (!usedPorts.has(port) && await isPortAvailable(port)) {
+      return port;
+    }
+    port++;
+  }
+  throw new Error('No available port found');
+}
+
+// ============ Call History ============
+
+export function loadHistory(config, sessionName) {
+  const historyFile = getHistoryFile(config, sessionName);
+  if (!fs.existsSync(historyFile)) {
+    return [];
+  }
+  const entries = [];
+  for (const line of fs.readFileSync(historyFile, 'utf8').split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      // A line cut short by a crash; skip it
+    }
+  }
+  return entries;
+}
+
+/**
+ * Filter history entries by a range of sequence numbers ("5", "3-10", "12-",
+ * "-4", comma-separated), tool glob, status list and time bounds. `limit`
+ * keeps the last n matches.
+ */
+export function selectHistory(entries, range, { tool, status, since, until, limit } = {}) {
+  const inRange = range ? parseHistoryRange(range) : () => true;
+  const toolPattern = tool ? globToRegExp(tool) : null;
+  const statuses = status ? status.split(',').map(s => s.trim()) : null;
+  const after = since ? parseTimeBound(since) : null;
+  const before = until ? parseTimeBound(until) : null;
+  
+  const selected = entries.filter((entry) => {
+    const time = Date.parse(entry.time);
+    return inRange(entry.seq) &&
+      (!toolPattern || toolPattern.test(entry.tool)) &&
+      (!statuses || statuses.includes(entry.status)) &&
+      (after === null || time >= after) &&
+      (before === null || time <= before);
+  });
+  if (limit !== null && limit !== undefined) {
+    const count = parseInt(limit, 10);
+    if (!(count >= 0)) {
+      throw new SkillClientError(`Invalid limit: ${limit}`, 'invalid_argument');
+    }
+    return count === 0 ? [] : selected.slice(-count);
+  }
+  return selected;
+}
+
+function parseHistoryRange(range) {
+  const parts = String(range).split(',').map((part) => {
+    const match = /^\s*(\d+)?\s*(-)?\s*(\d+)?\s*$/.exec(part);
+    if (!match || (!match[1] && !match[3]) || (!match[2] && match[3])) {
+      throw new SkillClientError(`Invalid range: ${part} (expected e.g. 5, 3-10, 12- or -4)`, 'invalid_argument');
+    }
+    const from = match[1] ? Number(match[1]) : 1;
+    const to = match[2] ? (match[3] ? Number(match[3]) : Infinity) : from;
+    return { from, to };
+  });
+  return (seq) => parts.some(({ from, to }) => seq >= from && seq <= to);
+}
+
+// An ISO date/time, or a duration meaning that long ago (e.g. "30m")
+function parseTimeBound(value) {
+  if (/^\s*\d+(\.\d+)?\s*(ms|s|m|h)\s*$/.test(value)) {
+    return Date.now() - parseDuration(value);
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new SkillClientError(`Invalid time: ${value} (expected an ISO date or a duration like 30m)`, 'invalid_argument');
+  }
+  return time;
+}
+
+// ============ Daemon Requests ============
+
+/**
+ * Request options for talking to a session daemon over its Unix socket (or TCP
+ * port when started with --tcp), authenticated with the session token.
+ */
+function daemonRequestOptions(session, requestPath, method, headers = {}) {
+  const options = {
+    path: requestPath,
+    method,
+    headers: { ...headers, 'Authorization': `Bearer ${session.token}` }
+  };
+  if (session.socket) {
+    options.socketPath = socketConnectPath(session.socket);
+  } else {
+    options.hostname = 'localhost';
+    options.port = session.port;
+  }
+  return options;
+}
+
+// Typed error for an error response (or streamed error event) from the daemon
+function daemonError(statusCode, text) {
+  const body = tryParseJson(text);
+  const message = body?.error || text || `Daemon returned HTTP ${statusCode}`;
+  if (statusCode === 401) {
+    return new UnauthorizedError();
+  }
+  if (statusCode === 403) {
+    return new PolicyError(message, body?.code || 'denied', body?.tools || null);
+  }
+  if (statusCode === 404) {
+    return new NotFoundError(message);
+  }
+  if (statusCode === 503) {
+    return new ServerUnavailableError(message, body?.unavailable || null);
+  }
+  if (body?.code === 'timeout') {
+    return new CallTimeoutError(message);
+  }
+  if (body?.code === 'cancelled') {
+    return new CallCancelledError(message);
+  }
+  return new DaemonError(message, body?.code || 'daemon_error', statusCode);
+}
+
+export function httpGet(session, requestPath) {
+  return new Promise((resolve, reject) => {
+    http.get(daemonRequestOptions(session, requestPath, 'GET'), res => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode >= 400) {
+          reject(daemonError(res.statusCode, data));
+        } else {
+          resolve(data);
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+/**
+ * POST expecting an NDJSON event stream. Calls onEvent for every event before
+ * the final one and resolves with the `result` event's payload.
+ */
+export function httpPostStream(session, requestPath, data, onEvent, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const postData = JSON.stringify(data);
+    
+    const req = http.request({
+      ...daemonRequestOptions(session, requestPath, 'POST', {
+        'Content-Type': 'application/json',
+        'Accept': 'application/x-ndjson',
+        'Content-Length': Buffer.byteLength(postData)
+      }),
+      signal
+    }, res => {
+      let buffer = '';
+      let settled = false;
+      
+      const handleLine = (line) => {
+        if (!line.trim()) {
+          return;
+        }
+        const event = JSON.parse(line);
+        if (event.type === 'result') {
+          settled = true;
+          resolve(event.result);
+        } else if (event.type === 'error') {
+          settled = true;
+          reject(daemonError(500, JSON.stringify(event)));
+        } else {
+          onEvent(event);
+        }
+      };
+      
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        if (res.statusCode >= 400) {
+          return;
+        }
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.substring(0, newline);
+          buffer = buffer.substring(newline + 1);
+          try {
+            handleLine(line);
+          } catch (e) {
+            reject(e);
+          }
+        }
+      });
+      res.on('end', () => {
+        if (res.statusCode >= 400) {
+          reject(daemonError(res.statusCode, buffer));
+          return;
+        }
+        try {
+          handleLine(buffer);
+        } catch (e) {
+          reject(e);
+        }
+        if (!settled) {
+          reject(new Error('Daemon closed the connection before sending a result'));
+        }
+      });
+    });
+    
+    req.on('error', reject);
+    req.write(postData);
+    req.end();
+  });
+}
+
+export function httpPost(session, requestPath, data, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const postData = JSON.stringify(data);
+    
+    const req = http.request({
+      ...daemonRequestOptions(session, requestPath, 'POST', {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(postData)
+      }),
+      signal
+    }, res => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode >= 400) {
+          reject(daemonError(res.statusCode, data));
+        } else {
+          resolve(data);
+        }
+      });
+    });
+    
+    req.on('error', reject);
+    req.write(postData);
+    req.end();
+  });
+}
@@ -0,0 +1,128 @@
+/**
+ * Tool list snapshots for `tools --snapshot` and `tools --diff`, and checks of
+ * call results against a tool's outputSchema.
+ */
+
+import { AjvJsonSchemaValidator } from '@modelcontextprotocol/sdk/validation/ajv';
+
+const COMPARED_FIELDS = ['title', 'description', 'inputSchema', 'outputSchema', 'annotations'];
+
+/**
+ * A snapshot of a session's tools, sorted by name, with the server version(s)
+ * from /status so a diff can show what was upgraded.
+ */
+export function createToolSnapshot(status, tools) {
+  const snapshot = { server: status.server, createdAt: new Date().toISOString() };
+  if (status.servers) {
+    snapshot.servers = Object.fromEntries(Object.entries(status.servers).map(([id, server]) => [id, server.serverInfo]));
+  } else {
+    snapshot.serverInfo = status.serverInfo;
+  }
+  snapshot.tools = [...tools].sort((a, b) => a.name.localeCompare(b.name));
+  return snapshot;
+}
+
+/**
+ * Compare two snapshots. Returns the names of added and removed tools and,
+ * for tools in both, a list of readable changes per tool.
+ */
+export function diffToolSnapshots(before, after) {
+  const oldTools = new Map(before.tools.map(tool => [tool.name, tool]));
+  const newTools = new Map(after.tools.map(tool => [tool.name, tool]));
+  
+  const added = [...newTools.keys()].filter(name => !oldTools.has(name)).sort();
+  const removed = [...oldTools.keys()].filter(name => !newTools.has(name)).sort();
+  const changed = [];
+  for (const [name, tool] of newTools) {
+    const old = oldTools.get(name);
+    if (!old) {
+      continue;
+    }
+    const changes = COMPARED_FIELDS.flatMap((field) => {
+      if (canonicalJson(old[field]) === canonicalJson(tool[field])) {
+        return [];
+      }
+      return field.endsWith('Schema') ? describeSchemaChanges(field, old[field], tool[field]) : [field];
+    });
+    if (changes.length > 0) {
+      changed.push({ name, changes });
+    }
+  }
+  changed.sort((a, b) => a.name.localeCompare(b.name));
+  
+  return { added, removed, changed, versions: diffVersions(before, after) };
+}
+
+/**
+ * Check a call result against the tool's outputSchema. Returns a message
+ * describing the mismatch, or null when it conforms or there is no schema.
+ */
+export function validateToolOutput(tool, result) {
+  if (!tool.outputSchema || result.isError) {
+    return null;
+  }
+  if (!result.structuredContent) {
+    return `Tool ${tool.name} declares an outputSchema but returned no structuredContent`;
+  }
+  const { valid, errorMessage } = new AjvJsonSchemaValidator().getValidator(tool.outputSchema)(result.structuredContent);
+  return valid ? null : `structuredContent of ${tool.name} does not match its outputSchema: ${errorMessage}`;
+}
+
+// Parameter-level changes: "inputSchema: +timeout", "-ref", "~element", "required +url"
+function describeSchemaChanges(field, oldSchema, newSchema) {
+  if (!oldSchema || !newSchema) {
+    return [`${field} ${oldSchema ? 'removed' : 'added'}`];
+  }
+  
+  const oldProps = oldSchema.properties || {};
+  const newProps = newSchema.properties || {};
+  const changes = [];
+  for (const name of Object.keys(newProps)) {
+    if (!(name in oldProps)) {
+      changes.push(`+${name}`);
+    } else if (canonicalJson(oldProps[name]) !== canonicalJson(newProps[name])) {
+      changes.push(`~${name}`);
+    }
+  }
+  for (const name of Object.keys(oldProps)) {
+    if (!(name in newProps)) {
+      changes.push(`-${name}`);
+    }
+  }
+  
+  const oldRequired = oldSchema.required || [];
+  const newRequired = newSchema.required || [];
+  const required = [
+    ...newRequired.filter(name => !oldRequired.includes(name)).map(name => `+${name}`),
+    ...oldRequired.filter(name => !newRequired.includes(name)).map(name => `-${name}`)
+  ];
+  if (required.length > 0) {
+    changes.push(`required ${required.join(' ')}`);
+  }
+  
+  // Anything else (additionalProperties, $defs, ...) without details
+  const rest = (schema) => canonicalJson({ ...schema, properties: undefined, required: undefined });
+  if (rest(oldSchema) !== rest(newSchema)) {
+    changes.push('other');
+  }
+  return [`${field}: ${changes.join(', ')}`];
+}
+
+// Server name -> { from, to } for servers whose reported version changed
+function diffVersions(before, after) {
+  const versions = (snapshot) => snapshot.servers
+    ? Object.fromEntries(Object.entries(snapshot.servers).map(([id, info]) => [id, info?.version]))
+    : { [snapshot.serverInfo?.name || snapshot.server]: snapshot.serverInfo?.version };
+  const oldVersions = versions(before);
+  const newVersions = versions(after);
+  return Object.fromEntries(Object.keys({ ...oldVersions, ...newVersions })
+    .filter(name => oldVersions[name] !== newVersions[name])
+    .map(name => [name, { from: oldVersions[name] ?? null, to: newVersions[name] ?? null }]));
+}
+
+// JSON with sorted object keys, so key order does not count as a change
+function canonicalJson(value) {
+  return JSON.stringify(value, (key, inner) => (inner && typeof inner === 'object' && !Array.isArray(inner)
+    ? Object.fromEntries(Object.keys(inner).sort().map(k => [k, inner[k]]))
+    : inner));
+}
@@ -0,0 +1,53 @@
+/**
+ * Small helpers shared by the CLI, the API and the daemon.
+ */
+
+import { ConfigError } from './errors.js';
+
+export function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  if (minutes > 0) {
+    return `${minutes}m ${seconds}s`;
+  }
+  return `${seconds}s`;
+}
+
+/**
+ * Parse a duration into milliseconds. Numbers are seconds; strings accept
+ * ms/s/m/h suffixes (e.g. "500ms", "30s", "15m", "2h").
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') {
+    return value * 1000;
+  }
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h)?\s*$/.exec(String(value));
+  if (!match) {
+    throw new ConfigError(`Invalid duration: ${value}`);
+  }
+  const units = { ms: 1, s: 1000, m: 60_000, h: 3_600_000 };
+  return Number(match[1]) * units[match[2] || 's'];
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function tryParseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// `*` matches any run of characters, `?` a single one
+export function globToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
@@ -0,0 +1,125 @@
+/**
+ * key=value argument parsing and coercion against a tool's inputSchema.
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+
+import { coerceValue, parseToolArguments } from '../client.js';
+
+const TOOL = {
+  name: 'search',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: { type: 'string' },
+      limit: { type: 'integer' },
+      score: { type: 'number' },
+      exact: { type: 'boolean' },
+      tags: { type: 'array', items: { type: 'string' } },
+      ids: { type: 'array', items: { type: 'integer' } },
+      filter: { type: 'object', properties: { lang: { type: 'string' }, year: { type: 'integer' } } },
+      mode: { type: 'string', enum: ['fast', 'full'] },
+    },
+    required: ['query'],
+  },
+};
+
+let workDir;
+
+before(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-skill-client-args-'));
+});
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('coerceValue', () => {
+  test('numbers and integers', () => {
+    assert.equal(coerceValue('42', { type: 'integer' }, 'n'), 42);
+    assert.equal(coerceValue('-3', { type: 'integer' }, 'n'), -3);
+    assert.equal(coerceValue('2.5', { type: 'number' }, 'n'), 2.5);
+    assert.equal(coerceValue(' 1e3 ', { type: 'number' }, 'n'), 1000);
+    assert.throws(() => coerceValue('2.5', { type: 'integer' }, 'n'), /Invalid value for 'n': expected integer, got "2.5"/);
+    assert.throws(() => coerceValue('', { type: 'number' }, 'n'), /expected number/);
+  });
+  
+  test('booleans and null', () => {
+    assert.equal(coerceValue('true', { type: 'boolean' }, 'b'), true);
+    assert.equal(coerceValue('false', { type: 'boolean' }, 'b'), false);
+    assert.equal(coerceValue('null', { type: ['string', 'null'] }, 'b'), null);
+    assert.throws(() => coerceValue('yes', { type: 'boolean' }, 'b'), /Invalid value for 'b': expected boolean, got "yes"/);
+  });
+  
+  test('strings are kept verbatim and win last in type unions', () => {
+    assert.equal(coerceValue(' 42 ', { type: 'string' }, 's'), ' 42 ');
+    assert.equal(coerceValue('42', { type: ['number', 'string'] }, 's'), 42);
+    assert.equal(coerceValue('abc', { type: ['number', 'string'] }, 's'), 'abc');
+  });
+  
+  test('arrays from JSON or a single element', () => {
+    assert.deepEqual(coerceValue('[1, 2]', { type: 'array', items: { type: 'integer' } }, 'a'), [1, 2]);
+    assert.deepEqual(coerceValue('7', { type: 'array', items: { type: 'integer' } }, 'a'), [7]);
+    assert.throws(() => coerceValue('x', { type: 'array', items: { type: 'integer' } }, 'a'), /Invalid value for 'a\[\]': expected integer/);
+  });
+  
+  test('JSON objects', () => {
+    assert.deepEqual(coerceValue('{"a": 1}', { type: 'object' }, 'o'), { a: 1 });
+    assert.throws(() => coerceValue('[1]', { type: 'object' }, 'o'), /expected object/);
+    assert.throws(() => coerceValue('{a: 1}', { type: 'object' }, 'o'), /expected object/);
+  });
+  
+  test('enums, anyOf and untyped values', () => {
+    assert.equal(coerceValue('fast', { type: 'string', enum: ['fast', 'full'] }, 'mode'), 'fast');
+    assert.throws(() => coerceValue('slow', { type: 'string', enum: ['fast', 'full'] }, 'mode'), /Invalid value for 'mode': "slow" \(allowed: "fast", "full"\)/);
+    assert.equal(coerceValue('3', { anyOf: [{ type: 'boolean' }, { type: 'integer' }] }, 'v'), 3);
+    assert.throws(() => coerceValue('x', { anyOf: [{ type: 'boolean' }, { type: 'integer' }] }, 'v'), /does not match any allowed type/);
+    assert.deepEqual(coerceValue('{"a":1}', {}, 'v'), { a: 1 });
+    assert.equal(coerceValue('plain', {}, 'v'), 'plain');
+  });
+});
+
+describe('parseToolArguments', () => {
+  test('coerces each parameter by its schema', () => {
+    const args = parseToolArguments(
+      ['query=cats', 'limit=10', 'score=0.5', 'exact=true', 'tags=a', 'tags=b', 'ids=[1,2]', 'filter.lang=en', 'filter.year=2020', 'mode=full'],
+      TOOL
+    );
+    assert.deepEqual(args, {
+      query: 'cats',
+      limit: 10,
+      score: 0.5,
+      exact: true,
+      tags: ['a', 'b'],
+      ids: [1, 2],
+      filter: { lang: 'en', year: 2020 },
+      mode: 'full',
+    });
+  });
+  
+  test('JSON objects for object parameters', () => {
+    assert.deepEqual(parseToolArguments(['query=x', 'filter={"lang":"de"}'], TOOL).filter, { lang: 'de' });
+  });
+  
+  test('@file reads the value from a file and @@ escapes a literal @', () => {
+    const file = path.join(workDir, 'query.txt');
+    fs.writeFileSync(file, 'from a file');
+    assert.equal(parseToolArguments([`query=@${file}`], TOOL).query, 'from a file');
+    assert.equal(parseToolArguments(['query=@@handle'], TOOL).query, '@handle');
+    assert.throws(() => parseToolArguments([`query=@${file}.missing`], TOOL), /File not found for parameter 'query'/);
+  });
+  
+  test('reports invalid input', () => {
+    assert.throws(() => parseToolArguments(['query'], TOOL), /Invalid argument 'query' for tool 'search' \(expected key=value\)/);
+    assert.throws(() => parseToolArguments(['=x'], TOOL), /expected key=value/);
+    assert.throws(() => parseToolArguments(['query=x', 'colour=red'], TOOL), /Unknown parameter 'colour' for tool 'search' \(expected one of: query, limit/);
+    assert.throws(() => parseToolArguments(['query=x', 'filter.other=1'], TOOL), /Unknown parameter 'filter.other'/);
+    assert.throws(() => parseToolArguments(['limit=5'], TOOL), /Missing required parameter\(s\) for tool 'search': query/);
+    assert.throws(() => parseToolArguments(['query=x', 'query=y'], TOOL), /Parameter 'query' given more than once/);
+    assert.throws(() => parseToolArguments(['query=x', 'limit=many'], TOOL), /Invalid value for 'limit': expected integer, got "many"/);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * idleTimeout and maxLifetime auto-shutdown against the stub server.
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { after, before, test } from 'node:test';
+
+import { STUB, createWorkDir, isRunning, readSessions, runCli, sleep, waitFor, writeConfig } from './helpers.js';
+
+let workDir;
+let configPath;
+
+const cli = (...args) => runCli(workDir, ['--config', configPath, '--session', 'main', ...args]);
+
+before(() => {
+  workDir = createWorkDir();
+  configPath = writeConfig(workDir, { name: 'idle', ...STUB });
+});
+
+after(async () => {
+  for (const session of Object.values(readSessions(workDir, 'idle'))) {
+    if (isRunning(session.pid)) {
+      process.kill(session.pid, 'SIGKILL');
+    }
+  }
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('a running call keeps the daemon from idling out', { timeout: 60000 }, async () => {
+  const started = await cli('start', '--idle-timeout', '3s');
+  assert.equal(started.code, 0, started.stderr);
+  const { pid } = readSessions(workDir, 'idle').main;
+  
+  const call = cli('call', 'slow', 'ms=6000');
+  await sleep(4000);
+  
+  // Past the idle timeout, but the call is still running: no idle deadline
+  const during = await cli('status', '--format', 'json');
+  assert.equal(JSON.parse(during.stdout).shutdown, null);
+  assert.equal(isRunning(pid), true);
+  
+  const called = await call;
+  assert.equal(called.code, 0, called.stderr);
+  assert.match(called.stdout, /done/);
+  
+  // The idle period starts when the call finishes
+  const afterCall = await cli('status', '--format', 'json');
+  assert.equal(JSON.parse(afterCall.stdout).shutdown.reason, 'idle');
+  assert.equal(await waitFor(() => !isRunning(pid), 10000), true);
+  assert.deepEqual(readSessions(workDir, 'idle'), {});
+});
@@ -0,0 +1,83 @@
+/**
+ * In-process HTTP MCP server for the tests. Serves streamable HTTP on /mcp,
+ * or with sseOnly the deprecated SSE transport (GET /mcp, POST /messages),
+ * answering streamable POSTs with 405 like an old server. Records the headers
+ * of every request; with token set, requests without that bearer token get 401.
+ */
+
+import http from 'node:http';
+
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+
+function createServer() {
+  const server = new Server({ name: 'http-stub', version: '1.0.0' }, { capabilities: { tools: {} } });
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: [{
+      name: 'echo',
+      description: 'Return the text',
+      inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] }
+    }]
+  }));
+  server.setRequestHandler(CallToolRequestSchema, async (request) => ({
+    content: [{ type: 'text', text: request.params.arguments?.text }]
+  }));
+  return server;
+}
+
+export async function startHttpStub({ sseOnly = false, token = null } = {}) {
+  const requests = [];
+  const sseTransports = new Map();
+  
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: url.pathname, headers: req.headers });
+    
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      res.writeHead(401, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'Unauthorized' }));
+      return;
+    }
+    
+    if (sseOnly) {
+      if (req.method === 'GET' && url.pathname === '/mcp') {
+        const transport = new SSEServerTransport('/messages', res);
+        sseTransports.set(transport.sessionId, transport);
+        res.on('close', () => sseTransports.delete(transport.sessionId));
+        await createServer().connect(transport);
+      } else if (req.method === 'POST' && url.pathname === '/messages') {
+        const transport = sseTransports.get(url.searchParams.get('sessionId'));
+        if (transport) {
+          await transport.handlePostMessage(req, res);
+        } else {
+          res.writeHead(404).end();
+        }
+      } else {
+        res.writeHead(405).end();
+      }
+      return;
+    }
+    
+    if (url.pathname !== '/mcp') {
+      res.writeHead(404).end();
+      return;
+    }
+    // Stateless: a fresh server and transport per request
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+    res.on('close', () => transport.close());
+    await createServer().connect(transport);
+    await transport.handleRequest(req, res);
+  });
+  
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    url: `http://127.0.0.1:${httpServer.address().port}/mcp`,
+    requests,
+    close: () => {
+      httpServer.closeAllConnections();
+      return new Promise(resolve => httpServer.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * Minimal stdio MCP server for the tests: `echo` returns its text, `slow`
+ * answers after `ms` milliseconds unless the call is cancelled.
+ */
+
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+
+const tools = [
+  {
+    name: 'echo',
+    description: 'Return the text',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] }
+  },
+  {
+    name: 'slow',
+    description: 'Answer after ms milliseconds',
+    inputSchema: { type: 'object', properties: { ms: { type: 'number' } }, required: ['ms'] }
+  }
+];
+
+const server = new Server({ name: 'stub', version: '1.0.0' }, { capabilities: { tools: {} } });
+
+server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools }));
+
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+  const args = request.params.arguments || {};
+  switch (request.params.name) {
+    case 'echo':
+      return { content: [{ type: 'text', text: args.text }] };
+    case 'slow':
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, args.ms);
+        extra.signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(new Error('cancelled'));
+        });
+      });
+      return { content: [{ type: 'text', text: 'done' }] };
+    default:
+      return { content: [{ type: 'text', text: `Unknown tool ${request.params.name}` }], isError: true };
+  }
+});
+
+await server.connect(new StdioServerTransport());
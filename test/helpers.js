@@ -0,0 +1,65 @@
+/**
+ * Shared test helpers: a scratch working directory (session state lives in
+ * ./.<name>/ of the working directory) and a runner for the CLI.
+ */
+
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLIENT = fileURLToPath(new URL('../client.js', import.meta.url));
+const STUB_SERVER = fileURLToPath(new URL('./fixtures/stub-server.js', import.meta.url));
+
+export const STUB = { transport: 'stdio', command: process.execPath, args: [STUB_SERVER] };
+
+export function createWorkDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-skill-client-'));
+}
+
+// Write <name>.json into workDir and return its path
+export function writeConfig(workDir, config) {
+  const configPath = path.join(workDir, `${config.name}.json`);
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  return configPath;
+}
+
+// Run client.js in workDir; resolves with { code, stdout, stderr } whatever the exit code
+export function runCli(workDir, args, { timeout = 30000 } = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLIENT, ...args], { cwd: workDir, timeout }, (error, stdout, stderr) => {
+      resolve({ code: error ? (error.code ?? 1) : 0, stdout, stderr });
+    });
+  });
+}
+
+export function readSessions(workDir, name) {
+  const sessionsFile = path.join(workDir, `.${name}`, 'sessions.json');
+  return fs.existsSync(sessionsFile) ? JSON.parse(fs.readFileSync(sessionsFile, 'utf8')) : {};
+}
+
+export function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Poll until condition() is true; returns false after timeout ms
+export async function waitFor(condition, timeout) {
+  const deadline = Date.now() + timeout;
+  while (!(await condition())) {
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await sleep(100);
+  }
+  return true;
+}
@@ -0,0 +1,78 @@
+/**
+ * Call history: argument redaction and history selection.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { redactArguments } from '../lib/daemon.js';
+import { selectHistory } from '../lib/session.js';
+
+describe('redactArguments', () => {
+  test('masks values of secret-looking keys at any depth', () => {
+    const { value, redacted } = redactArguments({
+      query: 'cats',
+      password: 'hunter2',
+      auth: { 'api-key': 'k', accessToken: 't', tokens: ['a', 'b'] },
+      limit: 5
+    }, []);
+    assert.equal(redacted, true);
+    assert.deepEqual(value, {
+      query: 'cats',
+      password: '[REDACTED]',
+      auth: { 'api-key': '[REDACTED]', accessToken: '[REDACTED]', tokens: ['[REDACTED]', '[REDACTED]'] },
+      limit: 5
+    });
+  });
+  
+  test('masks config secrets inside any string', () => {
+    const secret = 'ghp_0123456789abcdef';
+    const { value, redacted } = redactArguments({ url: `https://x.test/?t=${secret}`, note: 'plain' }, [secret]);
+    assert.equal(redacted, true);
+    assert.deepEqual(value, { url: 'https://x.test/?t=[REDACTED]', note: 'plain' });
+  });
+  
+  test('leaves other arguments untouched', () => {
+    const args = { tokenizer: 'bpe', count: 3, flags: [true, null] };
+    assert.deepEqual(redactArguments(args, ['not-present-secret']), { value: args, redacted: false });
+    assert.deepEqual(redactArguments(undefined, []), { value: {}, redacted: false });
+  });
+});
+
+describe('selectHistory', () => {
+  const now = Date.now();
+  const entries = [
+    { seq: 1, tool: 'browser_navigate', status: 'ok', time: new Date(now - 3 * 3600000).toISOString() },
+    { seq: 2, tool: 'browser_click', status: 'error', time: new Date(now - 2 * 3600000).toISOString() },
+    { seq: 3, tool: 'fs.read_file', status: 'ok', time: new Date(now - 3600000).toISOString() },
+    { seq: 4, tool: 'browser_click', status: 'timeout', time: new Date(now - 60000).toISOString() },
+    { seq: 5, tool: 'fs.write_file', status: 'cancelled', time: new Date(now).toISOString() }
+  ];
+  const seqs = (selected) => selected.map(entry => entry.seq);
+  
+  test('ranges: single, closed, open-ended and comma-separated', () => {
+    assert.deepEqual(seqs(selectHistory(entries, '3')), [3]);
+    assert.deepEqual(seqs(selectHistory(entries, '2-4')), [2, 3, 4]);
+    assert.deepEqual(seqs(selectHistory(entries, '4-')), [4, 5]);
+    assert.deepEqual(seqs(selectHistory(entries, '-2')), [1, 2]);
+    assert.deepEqual(seqs(selectHistory(entries, '1, 4-5')), [1, 4, 5]);
+    assert.deepEqual(seqs(selectHistory(entries, null)), [1, 2, 3, 4, 5]);
+  });
+  
+  test('invalid ranges are errors', () => {
+    for (const range of ['a', '-', '3-x', '1,,2']) {
+      assert.throws(() => selectHistory(entries, range), /Invalid range: .* \(expected e.g. 5, 3-10, 12- or -4\)/);
+    }
+  });
+  
+  test('tool glob, status list, time bounds and limit', () => {
+    assert.deepEqual(seqs(selectHistory(entries, null, { tool: 'browser_*' })), [1, 2, 4]);
+    assert.deepEqual(seqs(selectHistory(entries, null, { status: 'error, timeout' })), [2, 4]);
+    assert.deepEqual(seqs(selectHistory(entries, null, { since: '90m' })), [3, 4, 5]);
+    assert.deepEqual(seqs(selectHistory(entries, null, { until: new Date(now - 2 * 3600000).toISOString() })), [1, 2]);
+    assert.deepEqual(seqs(selectHistory(entries, '2-', { tool: 'browser_*', limit: '1' })), [4]);
+    assert.deepEqual(seqs(selectHistory(entries, null, { limit: 0 })), []);
+    assert.throws(() => selectHistory(entries, null, { limit: 'x' }), /Invalid limit: x/);
+    assert.throws(() => selectHistory(entries, null, { since: 'yesterday' }), /Invalid time: yesterday/);
+  });
+});
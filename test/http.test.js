@@ -0,0 +1,123 @@
+/**
+ * HTTP transports against the in-process stub in fixtures/: configured
+ * headers and bearer auth, 401 handling and the fallback to SSE.
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { after, before, describe, test } from 'node:test';
+
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport, StreamableHTTPError } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+
+import { createTransport, shouldFallbackToSse } from '../lib/daemon.js';
+import { startHttpStub } from './fixtures/http-stub.js';
+import { createWorkDir, isRunning, readSessions, runCli, writeConfig } from './helpers.js';
+
+let workDir;
+const names = [];
+
+// Start a session for config and return a CLI runner bound to it
+async function startSession(config) {
+  names.push(config.name);
+  const configPath = writeConfig(workDir, config);
+  const cli = (...args) => runCli(workDir, ['--config', configPath, '--session', 'main', ...args]);
+  const started = await cli('start');
+  assert.equal(started.code, 0, started.stderr);
+  return cli;
+}
+
+before(() => {
+  workDir = createWorkDir();
+});
+
+after(() => {
+  for (const name of names) {
+    for (const session of Object.values(readSessions(workDir, name))) {
+      if (isRunning(session.pid)) {
+        process.kill(session.pid, 'SIGKILL');
+      }
+    }
+  }
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('createTransport', () => {
+  const config = { url: 'http://127.0.0.1:1/mcp', headers: { 'X-Api-Key': 'k' }, auth: { type: 'bearer', token: 't' } };
+  
+  test('builds the transport for each kind', () => {
+    assert.ok(createTransport({ ...config, transport: 'http' }) instanceof StreamableHTTPClientTransport);
+    assert.ok(createTransport(config, 'sse') instanceof SSEClientTransport);
+    assert.throws(() => createTransport(config, 'ftp'), /Unknown transport: ftp/);
+  });
+  
+  test('falls back to SSE only on non-auth 4xx from streamable HTTP', () => {
+    assert.equal(shouldFallbackToSse(new StreamableHTTPError(404, 'Not Found')), true);
+    assert.equal(shouldFallbackToSse(new StreamableHTTPError(405, 'Method Not Allowed')), true);
+    assert.equal(shouldFallbackToSse(new StreamableHTTPError(401, 'Unauthorized')), false);
+    assert.equal(shouldFallbackToSse(new StreamableHTTPError(403, 'Forbidden')), false);
+    assert.equal(shouldFallbackToSse(new StreamableHTTPError(500, 'Internal Server Error')), false);
+    assert.equal(shouldFallbackToSse(new Error('fetch failed')), false);
+  });
+});
+
+describe('HTTP sessions', { timeout: 60000 }, () => {
+  test('sends configured headers and the bearer token', async () => {
+    const stub = await startHttpStub({ token: 'secret' });
+    try {
+      const cli = await startSession({
+        name: 'headers',
+        transport: 'http',
+        url: stub.url,
+        headers: { 'X-Api-Key': 'k1' },
+        auth: { type: 'bearer', token: 'secret' }
+      });
+      const called = await cli('call', 'echo', 'text=hi');
+      assert.equal(called.code, 0, called.stderr);
+      assert.match(called.stdout, /hi/);
+      
+      const posts = stub.requests.filter(request => request.method === 'POST');
+      assert.ok(posts.length > 0);
+      for (const request of posts) {
+        assert.equal(request.headers['x-api-key'], 'k1');
+        assert.equal(request.headers.authorization, 'Bearer secret');
+      }
+      await cli('stop');
+    } finally {
+      await stub.close();
+    }
+  });
+  
+  test('reports a 401 instead of falling back to SSE', async () => {
+    const stub = await startHttpStub({ token: 'secret' });
+    try {
+      names.push('unauthorized');
+      const configPath = writeConfig(workDir, { name: 'unauthorized', transport: 'http', url: stub.url, auth: { type: 'bearer', token: 'wrong' } });
+      const started = await runCli(workDir, ['--config', configPath, '--session', 'main', 'start']);
+      assert.notEqual(started.code, 0);
+      assert.match(started.stderr, /HTTP 401; check auth and headers/);
+      assert.deepEqual(readSessions(workDir, 'unauthorized'), {});
+      assert.ok(stub.requests.every(request => request.method === 'POST'));
+    } finally {
+      await stub.close();
+    }
+  });
+  
+  test('falls back to SSE when the server rejects streamable HTTP', async () => {
+    const stub = await startHttpStub({ sseOnly: true });
+    try {
+      const cli = await startSession({ name: 'sse', transport: 'http', url: stub.url, headers: { 'X-Api-Key': 'k2' } });
+      const status = JSON.parse((await cli('status', '--format', 'json')).stdout);
+      assert.equal(status.state, 'connected');
+      assert.equal(status.transport, 'sse');
+      
+      const called = await cli('call', 'echo', 'text=over sse');
+      assert.equal(called.code, 0, called.stderr);
+      assert.match(called.stdout, /over sse/);
+      assert.ok(stub.requests.some(request => request.method === 'GET' && request.headers['x-api-key'] === 'k2'));
+      await cli('stop');
+    } finally {
+      await stub.close();
+    }
+  });
+});
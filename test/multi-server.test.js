@@ -0,0 +1,77 @@
+/**
+ * Multi-server sessions: namespaced tools, aliases and a server that fails to
+ * start, against the stub server in fixtures/.
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+
+import { STUB, createWorkDir, isRunning, readSessions, runCli, writeConfig } from './helpers.js';
+
+// Exits at once and is never retried, so the session settles quickly
+const FAILING = { transport: 'stdio', command: process.execPath, args: ['-e', 'process.exit(2)'], reconnect: { maxAttempts: 0 } };
+
+let workDir;
+let cli;
+
+// GET a daemon route directly, bypassing the CLI's argument checks
+function daemonGet(session, token, requestPath) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ socketPath: session.socket, path: requestPath, headers: { Authorization: `Bearer ${token}` } }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+  });
+}
+
+before(() => {
+  workDir = createWorkDir();
+  const configPath = writeConfig(workDir, { name: 'multi', servers: { stub: STUB, broken: FAILING }, aliases: { say: 'stub.echo' } });
+  cli = (...args) => runCli(workDir, ['--config', configPath, '--session', 'main', ...args]);
+});
+
+after(() => {
+  for (const session of Object.values(readSessions(workDir, 'multi'))) {
+    if (isRunning(session.pid)) {
+      process.kill(session.pid, 'SIGKILL');
+    }
+  }
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('a failing server does not take down the others', { timeout: 60000 }, async () => {
+  const started = await cli('start');
+  assert.equal(started.code, 0, started.stderr);
+  
+  const status = JSON.parse((await cli('status', '--format', 'json')).stdout);
+  assert.equal(status.state, 'degraded');
+  assert.equal(status.servers.stub.state, 'connected');
+  assert.equal(status.servers.broken.state, 'failed');
+  
+  const tools = JSON.parse((await cli('tools', '--format', 'json')).stdout);
+  assert.deepEqual(tools.tools.map(tool => tool.name).sort(), ['say', 'stub.slow']);
+  
+  assert.match((await cli('call', 'say', 'text=via alias')).stdout, /via alias/);
+  assert.match((await cli('call', 'stub.echo', 'text=full name')).stdout, /full name/);
+});
+
+test('a tool lookup without a name is a 400, not a crash', { timeout: 60000 }, async () => {
+  const session = readSessions(workDir, 'multi').main;
+  const token = JSON.parse(fs.readFileSync(path.join(workDir, '.multi', 'tokens.json'), 'utf8')).main;
+  
+  const missing = await daemonGet(session, token, '/tool');
+  assert.equal(missing.status, 400);
+  assert.match(missing.body.error, /Missing tool name/);
+  
+  const found = await daemonGet(session, token, '/tool?name=say');
+  assert.equal(found.status, 200);
+  assert.equal(found.body.name, 'say');
+  
+  const stopped = await cli('stop');
+  assert.equal(stopped.code, 0, stopped.stderr);
+});
@@ -0,0 +1,93 @@
+/**
+ * allowTools / denyTools / confirmTools / argumentRules.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { createToolPolicy } from '../lib/daemon.js';
+
+describe('tool access', () => {
+  test('denyTools wins over allowTools', () => {
+    const policy = createToolPolicy({ allowTools: ['fs.*'], denyTools: ['*_delete*'] });
+    assert.equal(policy.isVisible(['fs.read_file']), true);
+    assert.equal(policy.isVisible(['fs.file_delete']), false);
+    assert.equal(policy.isVisible(['web.fetch']), false);
+    
+    assert.deepEqual(policy.check('fs.file_delete', ['fs.file_delete'], {}), {
+      error: "Tool 'fs.file_delete' is blocked by denyTools pattern '*_delete*'",
+      code: 'denied'
+    });
+    assert.deepEqual(policy.check('web.fetch', ['web.fetch'], {}), { error: "Tool 'web.fetch' is not in allowTools", code: 'denied' });
+    assert.equal(policy.check('fs.read_file', ['fs.read_file'], {}), null);
+  });
+  
+  test('everything is allowed without lists', () => {
+    const policy = createToolPolicy({});
+    assert.equal(policy.isVisible(['anything']), true);
+    assert.equal(policy.check('anything', ['anything'], { a: 1 }), null);
+  });
+  
+  test('any name a tool goes by matches, including its alias', () => {
+    const policy = createToolPolicy({ denyTools: ['go'] });
+    assert.equal(policy.isVisible(['browser.navigate', 'go']), false);
+    assert.equal(policy.isVisible(['browser.navigate']), true);
+  });
+  
+  test('? matches a single character and patterns are anchored', () => {
+    const policy = createToolPolicy({ allowTools: ['tool?'] });
+    assert.equal(policy.isVisible(['tool1']), true);
+    assert.equal(policy.isVisible(['tool12']), false);
+    assert.equal(policy.isVisible(['my_tool1']), false);
+  });
+});
+
+describe('confirmation', () => {
+  test('confirmTools needs confirmation after the deny and argument checks', () => {
+    const policy = createToolPolicy({
+      denyTools: ['upload_secret'],
+      confirmTools: ['upload*'],
+      argumentRules: { upload: { path: { deny: ['/etc/*'] } } }
+    });
+    assert.equal(policy.needsConfirmation(['upload']), true);
+    assert.equal(policy.check('upload', ['upload'], { path: '/tmp/a' }).code, 'confirmation_required');
+    assert.equal(policy.check('upload', ['upload'], { path: '/tmp/a' }, { confirmed: true }), null);
+    // A denied tool or argument is refused even when confirmed
+    assert.equal(policy.check('upload_secret', ['upload_secret'], {}, { confirmed: true }).code, 'denied');
+    assert.equal(policy.check('upload', ['upload'], { path: '/etc/passwd' }, { confirmed: true }).code, 'denied');
+  });
+});
+
+describe('argument rules', () => {
+  const policy = createToolPolicy({
+    argumentRules: {
+      'browser.*': { url: { domains: ['example.com', '*.example.com'] } },
+      'fs.write_file': { path: { allow: ['/tmp/*'] }, 'options.mode': { deny: ['7*'] } },
+      tag: { tags: { deny: ['secret'] } }
+    }
+  });
+  
+  test('allow and deny value patterns, with dot paths', () => {
+    assert.equal(policy.check('fs.write_file', ['fs.write_file'], { path: '/tmp/x' }), null);
+    assert.deepEqual(policy.check('fs.write_file', ['fs.write_file'], { path: '/home/x' }), {
+      error: "Argument 'path' of fs.write_file: '/home/x' is not allowed (allow: /tmp/*)",
+      code: 'denied'
+    });
+    assert.match(policy.check('fs.write_file', ['fs.write_file'], { path: '/tmp/x', options: { mode: '755' } }).error,
+      /Argument 'options.mode' of fs.write_file: '755' is denied \(deny: 7\*\)/);
+  });
+  
+  test('domains for URL arguments', () => {
+    assert.equal(policy.check('browser.open', ['browser.open'], { url: 'https://example.com/a' }), null);
+    assert.equal(policy.check('browser.open', ['browser.open'], { url: 'https://docs.EXAMPLE.com' }), null);
+    assert.match(policy.check('browser.open', ['browser.open'], { url: 'https://evil.com' }).error, /not on an allowed domain/);
+    assert.match(policy.check('browser.open', ['browser.open'], { url: 'not a url' }).error, /is not a URL/);
+  });
+  
+  test('arrays are checked item by item and missing arguments pass', () => {
+    assert.equal(policy.check('tag', ['tag'], { tags: ['a', 'b'] }), null);
+    assert.match(policy.check('tag', ['tag'], { tags: ['a', 'secret'] }).error, /'secret' is denied/);
+    assert.equal(policy.check('tag', ['tag'], {}), null);
+    assert.equal(policy.check('fs.write_file', ['fs.write_file'], {}), null);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * start --record against the stub server, then the same calls answered by the
+ * replay transport from the fixture, with no server running.
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+
+import { STUB, createWorkDir, isRunning, readSessions, runCli, writeConfig } from './helpers.js';
+
+let workDir;
+const names = [];
+
+// CLI runner for a session of config
+function session(config) {
+  names.push(config.name);
+  const configPath = writeConfig(workDir, config);
+  return (...args) => runCli(workDir, ['--config', configPath, '--session', 'main', ...args]);
+}
+
+before(() => {
+  workDir = createWorkDir();
+});
+
+after(() => {
+  for (const name of names) {
+    for (const entry of Object.values(readSessions(workDir, name))) {
+      if (isRunning(entry.pid)) {
+        process.kill(entry.pid, 'SIGKILL');
+      }
+    }
+  }
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('recorded calls are replayed without the server', { timeout: 60000 }, async () => {
+  const record = session({ name: 'recording', ...STUB });
+  assert.equal((await record('start', '--record', 'fixture.json')).code, 0);
+  assert.match((await record('call', 'echo', 'text=one')).stdout, /one/);
+  assert.match((await record('call', 'echo', 'text=two')).stdout, /two/);
+  assert.equal((await record('stop')).code, 0);
+  
+  const fixture = JSON.parse(fs.readFileSync(path.join(workDir, 'fixture.json'), 'utf8'));
+  const methods = fixture.exchanges.map(exchange => exchange.method);
+  assert.ok(methods.includes('initialize'));
+  assert.ok(methods.includes('tools/list'));
+  assert.deepEqual(fixture.exchanges.filter(exchange => exchange.method === 'tools/call').map(exchange => exchange.params.arguments), [{ text: 'one' }, { text: 'two' }]);
+  
+  // No command: nothing but the fixture can answer
+  const replay = session({ name: 'replaying', transport: 'replay', fixture: 'fixture.json' });
+  const started = await replay('start');
+  assert.equal(started.code, 0, started.stderr);
+  assert.equal(JSON.parse((await replay('status', '--format', 'json')).stdout).state, 'connected');
+  
+  const tools = JSON.parse((await replay('tools', '--format', 'json')).stdout);
+  assert.deepEqual(tools.tools.map(tool => tool.name).sort(), ['echo', 'slow']);
+  
+  // Matched on arguments, whatever the order
+  assert.match((await replay('call', 'echo', 'text=two')).stdout, /two/);
+  assert.match((await replay('call', 'echo', 'text=one')).stdout, /one/);
+  
+  const unrecorded = await replay('call', 'echo', 'text=three');
+  assert.notEqual(unrecorded.code, 0);
+  assert.match(unrecorded.stderr, /No recorded response for tools\/call echo with these arguments in .*fixture\.json/);
+  
+  assert.equal((await replay('stop')).code, 0);
+});
+
+test('ignoreArguments leaves arguments out of the match', { timeout: 60000 }, async () => {
+  const replay = session({ name: 'ignoring', transport: 'replay', fixture: 'fixture.json', ignoreArguments: ['text'] });
+  assert.equal((await replay('start')).code, 0);
+  
+  // Several matches are answered in recorded order, repeating the last
+  assert.match((await replay('call', 'echo', 'text=anything')).stdout, /one/);
+  assert.match((await replay('call', 'echo', 'text=else')).stdout, /two/);
+  assert.match((await replay('call', 'echo', 'text=more')).stdout, /two/);
+  
+  assert.equal((await replay('stop')).code, 0);
+});
@@ -0,0 +1,54 @@
+/**
+ * ${name.path} result references in `run` step arguments.
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { resolveReferences } from '../lib/daemon.js';
+
+const saved = {
+  login: { structuredContent: { token: 'abc123', user: { id: 7 } } },
+  page: { content: [{ type: 'text', text: 'Order #4711 confirmed' }, { type: 'text', text: 'second' }] },
+  flag: false
+};
+
+test('a whole-string reference keeps the referenced value', () => {
+  assert.equal(resolveReferences('${login.structuredContent.user.id}', saved), 7);
+  assert.deepEqual(resolveReferences('${login.structuredContent.user}', saved), { id: 7 });
+  assert.equal(resolveReferences('${flag}', saved), false);
+});
+
+test('array indexes, dotted or bracketed', () => {
+  assert.equal(resolveReferences('${page.content[1].text}', saved), 'second');
+  assert.equal(resolveReferences('${page.content.0.type}', saved), 'text');
+});
+
+test('references inside longer strings are interpolated', () => {
+  assert.equal(resolveReferences('Bearer ${login.structuredContent.token}', saved), 'Bearer abc123');
+  assert.equal(resolveReferences('user=${login.structuredContent.user}', saved), 'user={"id":7}');
+});
+
+test('objects and arrays are resolved recursively', () => {
+  const args = { id: '${login.structuredContent.user.id}', tags: ['a', '${page.content[1].text}'], limit: 5 };
+  assert.deepEqual(resolveReferences(args, saved), { id: 7, tags: ['a', 'second'], limit: 5 });
+});
+
+test('match filter yields the first capture group or the whole match', () => {
+  assert.equal(resolveReferences('${page.content[0].text | match:#(\\d+)}', saved), '4711');
+  assert.equal(resolveReferences('${page.content[0].text | match:\\d{4}}', saved), '4711');
+});
+
+test('$${ escapes a literal ${', () => {
+  assert.equal(resolveReferences('cost: $${login}', saved), 'cost: ${login}');
+  assert.equal(resolveReferences('no references', saved), 'no references');
+});
+
+test('missing references and bad filters are errors', () => {
+  assert.throws(() => resolveReferences('${nope.value}', saved), /Unknown reference 'nope' \(no earlier step has saveAs: nope\)/);
+  assert.throws(() => resolveReferences('${login.structuredContent.missing}', saved), /Reference 'login.structuredContent.missing' not found/);
+  assert.throws(() => resolveReferences('${page.content[5].text}', saved), /Reference 'page.content\[5\].text' not found/);
+  assert.throws(() => resolveReferences('${page.content[0].text | match:^x}', saved), /does not match \^x/);
+  assert.throws(() => resolveReferences('${login | upper}', saved), /Unknown filter 'upper'/);
+  assert.throws(() => resolveReferences('${login.structuredContent', saved), /Unterminated reference/);
+});
@@ -0,0 +1,116 @@
+/**
+ * Session lifecycle through the SkillClient API against the stub server in
+ * fixtures/. Runs in a scratch directory, since session state lives in
+ * ./.<name>/ of the working directory.
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import { after, before, describe, test } from 'node:test';
+
+import { SessionNotRunningError, SkillClient } from '../index.js';
+import { STUB, createWorkDir, isRunning, readSessions, writeConfig } from './helpers.js';
+
+// Exits at once and is never retried, so start settles quickly
+const FAILING = { transport: 'stdio', command: process.execPath, args: ['-e', 'process.exit(2)'], reconnect: { maxAttempts: 0 } };
+
+let workDir;
+const names = [];
+
+function createClient(config) {
+  names.push(config.name);
+  return new SkillClient({ config: writeConfig(workDir, config), session: 'main' });
+}
+
+before(() => {
+  workDir = createWorkDir();
+  process.chdir(workDir);
+});
+
+after(() => {
+  for (const name of names) {
+    for (const session of Object.values(readSessions(workDir, name))) {
+      if (isRunning(session.pid)) {
+        process.kill(session.pid, 'SIGKILL');
+      }
+    }
+  }
+  process.chdir(os.tmpdir());
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('start and restart', { timeout: 60000 }, () => {
+  test('start, call and stop', async () => {
+    const client = createClient({ name: 'single', ...STUB });
+    
+    const started = await client.start();
+    assert.equal(started.alreadyRunning, false);
+    assert.equal((await client.start()).alreadyRunning, true);
+    assert.equal((await client.status()).state, 'connected');
+    
+    const { tools } = await client.listTools();
+    assert.deepEqual(tools.map(tool => tool.name).sort(), ['echo', 'slow']);
+    assert.equal((await client.callTool('echo', { text: 'hello' })).content[0].text, 'hello');
+    
+    // stop() resolves once the daemon has exited
+    assert.deepEqual(await client.stop(), { pid: started.pid, stopped: true, forced: false });
+    assert.equal(isRunning(started.pid), false);
+    assert.equal(await client.stop(), null);
+    await assert.rejects(client.status(), SessionNotRunningError);
+  });
+  
+  test('restart keeps the options the session was started with', async () => {
+    const client = createClient({ name: 'restart', ...STUB });
+    
+    const started = await client.start({ idleTimeout: '5m' });
+    assert.deepEqual(readSessions(workDir, 'restart').main.options, { idleTimeout: '5m' });
+    
+    const restarted = await client.restart();
+    assert.equal(restarted.restarted, true);
+    assert.notEqual(restarted.pid, started.pid);
+    assert.equal(isRunning(started.pid), false);
+    assert.equal((await client.status()).shutdown.reason, 'idle');
+    
+    await client.stop();
+  });
+  
+  test('start fails with the log tail when the server cannot connect', async () => {
+    const client = createClient({ name: 'broken', ...FAILING });
+    
+    await assert.rejects(client.start({ wait: '10s' }), (e) => {
+      assert.equal(e.code, 'start_failed');
+      assert.match(e.message, /Connection closed/);
+      assert.match(e.logTail, /Server process exited \(2\)/);
+      return true;
+    });
+    assert.deepEqual(await SkillClient.listSessions(client.config), []);
+  });
+  
+  test('a multi-server session starts when one server connects', async () => {
+    const client = createClient({ name: 'degraded', servers: { a: STUB, b: FAILING } });
+    
+    const started = await client.start();
+    assert.deepEqual(started.unavailable.map(entry => entry.server), ['b']);
+    assert.equal((await client.status()).state, 'degraded');
+    assert.equal((await client.callTool('a.echo', { text: 'still here' })).content[0].text, 'still here');
+    
+    await client.stop();
+  });
+});
+
+describe('stopAll', { timeout: 60000 }, () => {
+  test('stops every session of a config', async () => {
+    const configPath = writeConfig(workDir, { name: 'many', ...STUB });
+    names.push('many');
+    const pids = [];
+    for (const session of ['one', 'two']) {
+      pids.push((await new SkillClient({ config: configPath, session }).start()).pid);
+    }
+    
+    const stopped = await SkillClient.stopAll(configPath);
+    assert.deepEqual(stopped.map(entry => [entry.name, entry.stopped]).sort(), [['one', true], ['two', true]]);
+    assert.ok(pids.every(pid => !isRunning(pid)));
+    assert.deepEqual(await SkillClient.listSessions(configPath), []);
+  });
+});
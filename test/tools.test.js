@@ -0,0 +1,76 @@
+/**
+ * Tool list snapshots: what `tools --diff` reports between two snapshots.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { createToolSnapshot, diffToolSnapshots } from '../lib/tools.js';
+
+const NAVIGATE = {
+  name: 'navigate',
+  description: 'Open a URL',
+  inputSchema: { type: 'object', properties: { url: { type: 'string' } }, required: ['url'] }
+};
+
+function snapshot(tools, version = '1.0.0') {
+  return createToolSnapshot({ server: 'browser', serverInfo: { name: 'browser-mcp', version } }, tools);
+}
+
+describe('createToolSnapshot', () => {
+  test('sorts tools and keeps the server versions', () => {
+    const single = snapshot([{ ...NAVIGATE, name: 'type' }, NAVIGATE]);
+    assert.deepEqual(single.tools.map(tool => tool.name), ['navigate', 'type']);
+    assert.deepEqual(single.serverInfo, { name: 'browser-mcp', version: '1.0.0' });
+    
+    const multi = createToolSnapshot({ server: 'multi', servers: { a: { serverInfo: { name: 'a', version: '2' } } } }, []);
+    assert.deepEqual(multi.servers, { a: { name: 'a', version: '2' } });
+  });
+});
+
+describe('diffToolSnapshots', () => {
+  test('identical snapshots have no changes', () => {
+    // Key order does not count as a change
+    const reordered = { inputSchema: { required: ['url'], properties: { url: { type: 'string' } }, type: 'object' }, description: 'Open a URL', name: 'navigate' };
+    assert.deepEqual(diffToolSnapshots(snapshot([NAVIGATE]), snapshot([reordered])), { added: [], removed: [], changed: [], versions: {} });
+  });
+  
+  test('added and removed tools', () => {
+    const diff = diffToolSnapshots(snapshot([NAVIGATE, { ...NAVIGATE, name: 'close' }]), snapshot([NAVIGATE, { ...NAVIGATE, name: 'click' }]));
+    assert.deepEqual(diff.added, ['click']);
+    assert.deepEqual(diff.removed, ['close']);
+    assert.deepEqual(diff.changed, []);
+  });
+  
+  test('parameter-level schema changes', () => {
+    const after = {
+      ...NAVIGATE,
+      inputSchema: {
+        type: 'object',
+        properties: { url: { type: 'string', format: 'uri' }, timeout: { type: 'number' } },
+        required: ['url', 'timeout'],
+        additionalProperties: false
+      }
+    };
+    assert.deepEqual(diffToolSnapshots(snapshot([NAVIGATE]), snapshot([after])).changed, [
+      { name: 'navigate', changes: ['inputSchema: ~url, +timeout, required +timeout, other'] }
+    ]);
+    
+    const fewer = { ...NAVIGATE, inputSchema: { type: 'object', properties: {} } };
+    assert.deepEqual(diffToolSnapshots(snapshot([NAVIGATE]), snapshot([fewer])).changed[0].changes, ['inputSchema: -url, required -url']);
+  });
+  
+  test('other fields and schemas that appear or go away', () => {
+    const after = { ...NAVIGATE, description: 'Go to a URL', outputSchema: { type: 'object' } };
+    assert.deepEqual(diffToolSnapshots(snapshot([NAVIGATE]), snapshot([after])).changed, [
+      { name: 'navigate', changes: ['description', 'outputSchema added'] }
+    ]);
+    assert.deepEqual(diffToolSnapshots(snapshot([after]), snapshot([NAVIGATE])).changed[0].changes, ['description', 'outputSchema removed']);
+  });
+  
+  test('server version changes', () => {
+    assert.deepEqual(diffToolSnapshots(snapshot([NAVIGATE], '1.0.0'), snapshot([NAVIGATE], '1.1.0')).versions, {
+      'browser-mcp': { from: '1.0.0', to: '1.1.0' }
+    });
+  });
+});